@@ -6,6 +6,35 @@ import inquirer from "inquirer";
 import ora from "ora";
 import path from "path";
 import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import {
+  addDependenciesToPackageJson,
+  applyDefaultAnswers,
+  buildPlan,
+  checkAvailableChoices,
+  createChangeTracker,
+  createProject,
+  dropInapplicableAnswers,
+  existingDirectoryQuestion,
+  generateManifest,
+  getConfiguredPlugins,
+  getDirectoryState,
+  getManifestPlugins,
+  getInstallCommands,
+  getRcPath,
+  getTemplateContext,
+  loadPlugins,
+  loadPreset,
+  parsePackageSpec,
+  planProject,
+  questions as builtInQuestions,
+  renderTemplate,
+  resolveFlagValue,
+  toPackageName,
+  trackInstallOutputs,
+  updatePackageJsonScripts,
+  validatePackageName,
+} from "./lib.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -13,994 +42,1208 @@ const __dirname = path.dirname(__filename);
 console.log(chalk.cyan("🚀 Welcome to create-prtw!"));
 console.log(chalk.gray("Advanced React & Next.js project scaffolding tool\n"));
 
-// Get project name from command line args or prompt
-let projectName = process.argv[2];
-if (!projectName) {
-  const nameAnswer = await inquirer.prompt([
-    {
-      type: "input",
-      name: "projectName",
-      message: "Project name:",
-      default: "my-app",
-      validate: (input) => {
-        if (!input.trim()) return "Project name cannot be empty";
-        if (!/^[a-zA-Z0-9-_]+$/.test(input)) return "Project name can only contain letters, numbers, hyphens, and underscores";
-        return true;
-      },
-    },
-  ]);
-  projectName = nameAnswer.projectName;
-}
-
-// Main prompts
-const answers = await inquirer.prompt([
-  {
-    type: "list",
-    name: "framework",
-    message: "Choose framework:",
-    choices: ["React (Vite)", "Next.js"],
-  },
-  {
-    type: "list",
-    name: "router",
-    message: "Choose router system:",
-    choices: ["App Router (Recommended)", "Pages Router (Legacy)"],
-    when: (answers) => answers.framework === "Next.js",
-  },
-  {
-    type: "list",
-    name: "language",
-    message: "Choose language:",
-    choices: ["JavaScript", "TypeScript"],
-  },
-  {
-    type: "list",
-    name: "packageManager",
-    message: "Choose package manager:",
-    choices: ["npm", "yarn", "bun"],
-  },
-  {
-    type: "list",
-    name: "styling",
-    message: "Choose styling solution:",
-    choices: ["Tailwind", "Shadcn", "Vanilla CSS", "None"],
-  },
-  {
-    type: "list",
-    name: "tailwindVersion",
-    message: "Choose Tailwind version:",
-    choices: ["v3 (Stable)", "v4 (Experimental)"],
-    when: (answers) => answers.styling === "Tailwind",
-  },
-  {
-    type: "list",
-    name: "stateManagement",
-    message: "Choose state management:",
-    choices: ["Redux Toolkit", "Zustand", "TanStack Query", "Skip"],
-  },
-  {
-    type: "list",
-    name: "icons",
-    message: "Choose icon library:",
-    choices: ["Lucide", "React Icons", "Iconify", "Skip"],
-  },
-  {
-    type: "list",
-    name: "codeQuality",
-    message: "Add code quality tools (ESLint + Prettier + Husky + lint-staged + Commitlint)?",
-    choices: ["Yes", "No"],
-  },
-]);
+// Plugin prompts are added to this copy of the built-in ones
+const questions = [...builtInQuestions];
+
+// Features `create-prtw add` can set up, as the answers they stand for
+const addableFeatures = {
+  tailwind: { styling: "Tailwind" },
+  shadcn: { styling: "Shadcn" },
+  vanilla: { styling: "Vanilla CSS" },
+  redux: { stateManagement: "Redux Toolkit" },
+  zustand: { stateManagement: "Zustand" },
+  "tanstack-query": { stateManagement: "TanStack Query" },
+  lucide: { icons: "Lucide" },
+  "react-icons": { icons: "React Icons" },
+  iconify: { icons: "Iconify" },
+  forms: { forms: "React Hook Form + Zod" },
+  "react-i18next": { i18n: "react-i18next" },
+  "next-intl": { i18n: "next-intl" },
+  msw: { apiMocking: "MSW" },
+  playwright: { e2e: "Playwright" },
+  storybook: { storybook: "Yes" },
+  "code-quality": { codeQuality: "Yes" },
+  vitest: { testing: "Vitest" },
+  jest: { testing: "Jest" },
+};
 
-console.log(chalk.green(`\n✅ Configuration complete!`));
-console.log(chalk.blue(`📦 Creating ${answers.framework} project with ${answers.language}...`));
+// What `create-prtw generate` can generate
+const generators = ["component", "page", "hook", "store"];
+
+// Load plugins before parsing the rest of the flags, since they add prompts and flags of their own
+let plugins = [];
+try {
+  plugins = await loadPlugins(
+    [
+      ...getPluginFlags(process.argv.slice(2)),
+      ...(await getConfiguredPlugins()),
+      ...(await getManifestPlugins(getManifestPath(process.argv.slice(2)))),
+    ],
+    questions
+  );
+} catch (error) {
+  console.error(chalk.red(error.message));
+  process.exit(1);
+}
+for (const plugin of plugins) {
+  questions.push(...plugin.questions);
+}
 
-const isTypeScript = answers.language === "TypeScript";
-const isNextJs = answers.framework === "Next.js";
-const isAppRouter = answers.router === "App Router (Recommended)";
-const fileExt = isTypeScript ? "tsx" : "jsx";
-const configExt = isTypeScript ? "ts" : "js";
-const packageManager = answers.packageManager;
+// `create-prtw add <feature>` sets a feature up in the project in the current directory
+if (process.argv[2] === "add") {
+  process.exit(await runAdd(process.argv.slice(3), questions, plugins));
+}
 
-// Create project
-let spinner = ora("Creating base project...").start();
+// `create-prtw generate <kind> <Name>` writes a component, page, hook or store into it
+if (process.argv[2] === "generate") {
+  process.exit(await runGenerate(process.argv.slice(3), questions));
+}
 
+// Parse command line flags
+let cliArgs;
 try {
-  if (isNextJs) {
-    const nextArgs = [
-      "create-next-app@latest",
-      projectName,
-      `--use-${packageManager}`,
-      isTypeScript ? "--typescript" : "--javascript",
-      isAppRouter ? "--app" : "--src-dir",
-      answers.styling === "Tailwind" ? "--tailwind" : "",
-      "--eslint",
-      "--import-alias",
-      "@/*",
-    ].filter(Boolean);
-
-    await execa("npx", nextArgs, { stdio: "inherit" });
-  } else {
-    // Create Vite React project
-    await execa(
-      packageManager,
-      packageManager === "npm"
-        ? ["create", "vite@latest", projectName, "--", "--template", isTypeScript ? "react-ts" : "react"]
-        : ["create", "vite", projectName, "--template", isTypeScript ? "react-ts" : "react"],
-      { stdio: "pipe" }
-    );
+  cliArgs = parseCliArgs(process.argv.slice(2), questions);
+} catch (error) {
+  console.error(chalk.red(error.message));
+  console.error(chalk.gray("Run create-prtw --help to see all options."));
+  process.exit(1);
+}
+
+if (cliArgs.help) {
+  printHelp(questions);
+  process.exit(0);
+}
+
+// Get the target directory from the command line or prompt. A scoped package
+// name like @acme/web is created in ./web.
+let directory = cliArgs.directory;
+let packageName = cliArgs.name;
+if (directory?.startsWith("@") && validatePackageName(directory).length === 0) {
+  packageName ??= directory;
+  directory = directory.split("/").pop();
+}
+if (!directory && cliArgs.yes) {
+  directory = "my-app";
+}
+if (directory) {
+  const problem = checkProjectDirectory(directory, packageName);
+  if (problem !== true) {
+    console.error(chalk.red(problem));
+    process.exit(1);
   }
+} else {
+  const directoryAnswer = await inquirer.prompt([
+    {
+      type: "input",
+      name: "directory",
+      message: "Project directory (. for the current one):",
+      default: "my-app",
+      validate: (input) => checkProjectDirectory(input, packageName),
+    },
+  ]);
+  directory = directoryAnswer.directory.trim();
+}
 
-  spinner.succeed("Base project created!");
+// The package name defaults to the directory name, made valid for npm
+if (packageName) {
+  const problems = validatePackageName(packageName);
+  if (problems.length > 0) {
+    console.error(chalk.red(`Invalid package name "${packageName}": ${problems.join(", ")}`));
+    process.exit(1);
+  }
+} else {
+  const directoryName = path.basename(path.resolve(directory));
+  packageName = toPackageName(directoryName);
+  if (packageName !== directoryName && cliArgs.yes) {
+    console.log(chalk.gray(`Using "${packageName}" as the package name.`));
+  } else if (packageName !== directoryName) {
+    const nameAnswer = await inquirer.prompt([
+      {
+        type: "confirm",
+        name: "useDerivedName",
+        message: `"${directoryName}" isn't a valid package name. Use "${packageName}" instead?`,
+        default: true,
+      },
+      {
+        type: "input",
+        name: "packageName",
+        message: "Package name:",
+        default: packageName,
+        when: (answers) => !answers.useDerivedName,
+        validate: (input) => validatePackageName(input).join(", ") || true,
+      },
+    ]);
+    packageName = nameAnswer.packageName ?? packageName;
+  }
+}
 
-  // Change to project directory
-  process.chdir(projectName);
+// Check the target directory before asking anything else
+const targetDir = path.resolve(directory);
+const targetState = await getDirectoryState(targetDir);
+if (targetState === "file") {
+  console.error(chalk.red(`"${directory}" already exists and is not a directory.`));
+  process.exit(1);
+}
 
-  // Install base dependencies
-  if (!isNextJs) {
-    spinner = ora("Installing dependencies...").start();
-    await execa(packageManager, packageManager === "npm" ? ["install"] : [], { stdio: "inherit" });
-    spinner.succeed("Dependencies installed!");
+let existingDirectory = null;
+if (targetState === "not-empty") {
+  existingDirectory = cliArgs.existingDirectory;
+  if (!existingDirectory && !cliArgs.yes) {
+    const existingAnswer = await inquirer.prompt([
+      {
+        ...existingDirectoryQuestion,
+        message: `Directory "${directory}" is not empty. Overwrite deletes its files, merge keeps them:`,
+      },
+    ]);
+    existingDirectory = existingAnswer.existingDirectory;
+  }
+  if (!existingDirectory || existingDirectory === "Cancel") {
+    console.error(chalk.red(`Directory "${directory}" is not empty. Nothing was created.`));
+    console.error(chalk.gray("Run again with --if-exists overwrite or --if-exists merge to use it anyway."));
+    process.exit(1);
   }
+}
 
-  // Setup styling
-  if (answers.styling === "Tailwind") {
-    spinner = ora("Setting up Tailwind CSS...").start();
+// Load preset answers; flags take precedence over the preset
+let presetAnswers = {};
+if (cliArgs.preset) {
+  try {
+    presetAnswers = await loadPreset(cliArgs.preset, questions);
+  } catch (error) {
+    console.error(chalk.red(error.message));
+    process.exit(1);
+  }
+}
 
-    if (!isNextJs) {
-      // Install Tailwind for React/Vite
-      const tailwindVersion = answers.tailwindVersion === "v4 (Experimental)" ? "@next" : "@latest";
-      const installCmd = packageManager === "npm" ? ["install", "-D"] : packageManager === "yarn" ? ["add", "-D"] : ["add", "-d"];
-      await execa(packageManager, [...installCmd, `tailwindcss${tailwindVersion}`, "autoprefixer", "postcss"], {
-        stdio: "pipe",
-      });
-      await execa("npx", ["tailwindcss", "init", "-p"], { stdio: "pipe" });
-    }
-
-    // Create tailwind config
-    const tailwindConfig = isNextJs ? `{}` : `{}`; // Placeholder for generateViteTailwindConfig()
-    await fs.writeFile(`tailwind.config.${configExt}`, tailwindConfig);
-
-    // Create CSS file
-    const cssContent = `@tailwind base;
-@tailwind components;
-@tailwind utilities;
-
-/* Custom CSS Variables for theming */
-:root {
-  --background: 0 0% 100%;
-  --foreground: 222.2 84% 4.9%;
-  --card: 0 0% 100%;
-  --card-foreground: 222.2 84% 4.9%;
-  --popover: 0 0% 100%;
-  --popover-foreground: 222.2 84% 4.9%;
-  --primary: 222.2 47.4% 11.2%;
-  --primary-foreground: 210 40% 98%;
-  --secondary: 210 40% 96%;
-  --secondary-foreground: 222.2 84% 4.9%;
-  --muted: 210 40% 96%;
-  --muted-foreground: 215.4 16.3% 46.9%;
-  --accent: 210 40% 96%;
-  --accent-foreground: 222.2 84% 4.9%;
-  --destructive: 0 84.2% 60.2%;
-  --destructive-foreground: 210 40% 98%;
-  --border: 214.3 31.8% 91.4%;
-  --input: 214.3 31.8% 91.4%;
-  --ring: 222.2 84% 4.9%;
-  --radius: 0.5rem;
-}
-
-.dark {
-  --background: 222.2 84% 4.9%;
-  --foreground: 210 40% 98%;
-  --card: 222.2 84% 4.9%;
-  --card-foreground: 210 40% 98%;
-  --popover: 222.2 84% 4.9%;
-  --popover-foreground: 210 40% 98%;
-  --primary: 210 40% 98%;
-  --primary-foreground: 222.2 47.4% 11.2%;
-  --secondary: 217.2 32.6% 17.5%;
-  --secondary-foreground: 210 40% 98%;
-  --muted: 217.2 32.6% 17.5%;
-  --muted-foreground: 215 20.2% 65.1%;
-  --accent: 217.2 32.6% 17.5%;
-  --accent-foreground: 210 40% 98%;
-  --destructive: 0 62.8% 30.6%;
-  --destructive-foreground: 210 40% 98%;
-  --border: 217.2 32.6% 17.5%;
-  --input: 217.2 32.6% 17.5%;
-  --ring: 212.7 26.8% 83.9%;
-}`;
-
-    if (isNextJs) {
-      await fs.writeFile("src/app/globals.css", cssContent);
-    } else {
-      await fs.writeFile("src/index.css", cssContent);
-    }
+// Main prompts, skipping every question already answered by a preset or flag
+let answers = { ...presetAnswers, ...cliArgs.answers };
+if (cliArgs.yes) {
+  answers = applyDefaultAnswers(questions, answers);
+}
+answers = await inquirer.prompt(questions.map(toInquirerQuestion), answers);
+answers = dropInapplicableAnswers(questions, answers);
 
-    spinner.succeed("Tailwind CSS configured!");
-  } else if (answers.styling === "Shadcn") {
-    spinner = ora("Setting up Shadcn/UI...").start();
+try {
+  checkAvailableChoices(questions, answers);
+} catch (error) {
+  console.error(chalk.red(error.message));
+  process.exit(1);
+}
 
-    // Install Tailwind first (required for Shadcn)
-    if (!isNextJs) {
-      const installCmd = packageManager === "npm" ? ["install", "-D"] : packageManager === "yarn" ? ["add", "-D"] : ["add", "-d"];
-      await execa(packageManager, [...installCmd, "tailwindcss@latest", "autoprefixer", "postcss"], { stdio: "pipe" });
-      await execa("npx", ["tailwindcss", "init", "-p"], { stdio: "pipe" });
-    }
+if (cliArgs.savePreset) {
+  const rcPath = await savePreset(cliArgs.savePreset, answers);
+  console.log(chalk.gray(`Saved preset "${cliArgs.savePreset}" to ${rcPath}`));
+}
 
-    // Install Shadcn dependencies
-    const installCmd = packageManager === "npm" ? ["install"] : ["add"];
-    await execa(packageManager, [...installCmd, "class-variance-authority", "clsx", "tailwind-merge", "lucide-react"], {
-      stdio: "pipe",
-    });
-    const devInstallCmd = packageManager === "npm" ? ["install", "-D"] : packageManager === "yarn" ? ["add", "-D"] : ["add", "-d"];
-    await execa(packageManager, [...devInstallCmd, "@types/node"], { stdio: "pipe" });
+console.log(chalk.green(`\n✅ Configuration complete!`));
 
-    // Create shadcn config
-    const shadcnConfig = `{}`; // Placeholder for generateShadcnConfig()
-    await fs.writeFile("components.json", shadcnConfig);
+const projectOptions = {
+  directory,
+  name: packageName,
+  answers,
+  plugins: plugins.map((plugin) => plugin.ref),
+  existingDirectory,
+  skipInstall: cliArgs.skipInstall,
+  offline: cliArgs.offline,
+  pin: cliArgs.pin,
+  keepOnFailure: cliArgs.keepOnFailure,
+};
 
-    spinner.succeed("Shadcn/UI configured!");
-  } else if (answers.styling === "Vanilla CSS") {
-    spinner = ora("Setting up Vanilla CSS...").start();
+if (cliArgs.dryRun) {
+  try {
+    printPlan(await planProject(projectOptions));
+  } catch (error) {
+    console.error(chalk.red(error.message));
+    process.exit(1);
+  }
+  process.exit(0);
+}
 
-    const vanillaCss = `{}`; // Placeholder for generateVanillaCss()
-    if (isNextJs) {
-      await fs.writeFile("src/app/globals.css", vanillaCss);
-    } else {
-      await fs.writeFile("src/index.css", vanillaCss);
-    }
+console.log(chalk.blue(`📦 Creating ${answers.framework} project with ${answers.language}...`));
 
-    spinner.succeed("Vanilla CSS configured!");
+let spinner;
+let result;
+try {
+  result = await createProject({
+    ...projectOptions,
+    onProgress: ({ type, step, message, error }) => {
+      if (type === "start") {
+        spinner = ora(message).start();
+        return;
+      }
+      // Show the scaffolder's latest line next to the step
+      if (type === "output") {
+        if (message.trim()) spinner.suffixText = chalk.gray(message.trim());
+        return;
+      }
+      spinner.suffixText = "";
+      spinner[type](message);
+      if (error) {
+        console.error(chalk.red(error.message));
+        if (cliArgs.offline && step === "install" && isCacheMiss(error)) {
+          console.error(chalk.gray("Some packages aren't in the package manager's cache yet. Run once with network access to fill it."));
+        }
+      }
+    },
+  });
+} catch (error) {
+  if (!error.step) {
+    console.error(chalk.red(error.message));
+  } else if (cliArgs.keepOnFailure) {
+    console.error(chalk.gray(`Kept the partial project in ${targetDir} (--keep-on-failure).`));
   }
+  process.exit(1);
+}
 
-  // Setup state management
-  if (answers.stateManagement === "Redux Toolkit") {
-    spinner = ora("Setting up Redux Toolkit...").start();
-    const installCmd = packageManager === "npm" ? ["install"] : ["add"];
-    await execa(packageManager, [...installCmd, "@reduxjs/toolkit", "react-redux"], { stdio: "pipe" });
-    if (isTypeScript) {
-      const devInstallCmd = packageManager === "npm" ? ["install", "-D"] : packageManager === "yarn" ? ["add", "-D"] : ["add", "-d"];
-      await execa(packageManager, [...devInstallCmd, "@types/react-redux"], { stdio: "pipe" });
+// Final success message
+const { plan } = result;
+const packageManager = plan.packageManager;
+console.log(chalk.green("\n🎉 Project created successfully!"));
+if (result.skipped.length > 0) {
+  console.log(chalk.yellow("\nLeft alone because they were already in the directory:"));
+  for (const file of result.skipped) {
+    console.log(chalk.white(`  ${file}`));
+  }
+}
+console.log(chalk.blue("\n📋 Next steps:"));
+const relativeDir = path.relative(process.cwd(), targetDir);
+if (relativeDir) {
+  console.log(chalk.white(`  cd ${/\s/.test(relativeDir) ? `"${relativeDir}"` : relativeDir}`));
+}
+if (plan.skipInstall) {
+  console.log(chalk.white(`  ${formatCommand(packageManager.install())}`));
+  for (const step of plan.steps) {
+    for (const command of step.commands) {
+      console.log(chalk.white(`  ${formatCommand(command)}`));
     }
-    spinner.succeed("Redux Toolkit installed!");
-  } else if (answers.stateManagement === "Zustand") {
-    spinner = ora("Setting up Zustand...").start();
-    const installCmd = packageManager === "npm" ? ["install"] : ["add"];
-    await execa(packageManager, [...installCmd, "zustand"], { stdio: "pipe" });
-    spinner.succeed("Zustand installed!");
-  } else if (answers.stateManagement === "TanStack Query") {
-    spinner = ora("Setting up TanStack Query...").start();
-    const installCmd = packageManager === "npm" ? ["install"] : ["add"];
-    await execa(packageManager, [...installCmd, "@tanstack/react-query", "@tanstack/react-query-devtools"], {
-      stdio: "pipe",
-    });
-    spinner.succeed("TanStack Query installed!");
-  }
-
-  // Setup icons
-  if (answers.icons === "Lucide") {
-    spinner = ora("Installing Lucide React...").start();
-    const installCmd = packageManager === "npm" ? ["install"] : ["add"];
-    await execa(packageManager, [...installCmd, "lucide-react"], { stdio: "pipe" });
-    spinner.succeed("Lucide React installed!");
-  } else if (answers.icons === "React Icons") {
-    spinner = ora("Installing React Icons...").start();
-    const installCmd = packageManager === "npm" ? ["install"] : ["add"];
-    await execa(packageManager, [...installCmd, "react-icons"], { stdio: "pipe" });
-    spinner.succeed("React Icons installed!");
-  } else if (answers.icons === "Iconify") {
-    spinner = ora("Installing Iconify...").start();
-    const installCmd = packageManager === "npm" ? ["install"] : ["add"];
-    await execa(packageManager, [...installCmd, "@iconify/react"], { stdio: "pipe" });
-    spinner.succeed("Iconify installed!");
-  }
-
-  // Setup React Router for React projects
-  if (!isNextJs) {
-    spinner = ora("Setting up React Router...").start();
-    const installCmd = packageManager === "npm" ? ["install"] : ["add"];
-    await execa(packageManager, [...installCmd, "react-router-dom"], { stdio: "pipe" });
-    spinner.succeed("React Router installed!");
-  }
-
-  // Setup Axios for API calls
-  spinner = ora("Setting up Axios...").start();
-  const installCmd = packageManager === "npm" ? ["install"] : ["add"];
-  await execa(packageManager, [...installCmd, "axios"], { stdio: "pipe" });
-  spinner.succeed("Axios installed!");
-
-  // Setup code quality tools
-  if (answers.codeQuality === "Yes") {
-    spinner = ora("Setting up code quality tools...").start();
-
-    const devInstallCmd = packageManager === "npm" ? ["install", "-D"] : packageManager === "yarn" ? ["add", "-D"] : ["add", "-d"];
+  }
+}
+console.log(chalk.white(`  ${formatCommand(packageManager.run("dev"))}`));
 
-    if (!isNextJs) {
-      await execa(packageManager, [...devInstallCmd, "eslint", "prettier", "eslint-config-prettier", "eslint-plugin-prettier"], {
-        stdio: "pipe",
-      });
-    } else {
-      await execa(packageManager, [...devInstallCmd, "prettier", "eslint-config-prettier", "eslint-plugin-prettier"], {
-        stdio: "pipe",
-      });
-    }
+if (answers.codeQuality === "Yes") {
+  console.log(chalk.gray("\n🔧 Code quality tools:"));
+  console.log(chalk.white(`  ${formatCommand(packageManager.run("lint"))}`));
+  console.log(chalk.white(`  ${formatCommand(packageManager.run("format"))}`));
+}
 
-    // Install Husky and lint-staged
-    await execa(packageManager, [...devInstallCmd, "husky", "lint-staged", "@commitlint/cli", "@commitlint/config-conventional"], { stdio: "pipe" });
+if (answers.testing !== "Skip") {
+  console.log(chalk.gray("\n🧪 Testing:"));
+  console.log(chalk.white(`  ${formatCommand(packageManager.run("test"))}`));
+  console.log(chalk.white(`  ${formatCommand(packageManager.run("coverage"))}`));
+}
+
+if (answers.e2e === "Playwright") {
+  console.log(chalk.gray("\n🎭 End-to-end tests:"));
+  console.log(chalk.white(`  ${formatCommand(packageManager.run("e2e:install"))}`));
+  console.log(chalk.white(`  ${formatCommand(packageManager.run("e2e"))}`));
+}
 
-    // Initialize Husky
-    await execa("npx", ["husky", "install"], { stdio: "pipe" });
+console.log(chalk.gray(`\nUsing ${packageManager.name} as package manager. Happy coding! 🚀`));
 
-    spinner.succeed("Code quality tools configured!");
+// Helper functions
+function parseCliArgs(argv, questions) {
+  const options = {
+    yes: { type: "boolean", short: "y" },
+    help: { type: "boolean", short: "h" },
+    name: { type: "string" },
+    preset: { type: "string" },
+    "save-preset": { type: "string" },
+    "dry-run": { type: "boolean" },
+    "skip-install": { type: "boolean" },
+    offline: { type: "boolean" },
+    pin: { type: "boolean" },
+    "keep-on-failure": { type: "boolean" },
+    plugin: { type: "string", multiple: true },
+    [existingDirectoryQuestion.flag]: { type: "string" },
+  };
+  for (const question of questions) {
+    options[question.flag] = { type: "string" };
   }
 
-  // Create folder structure
-  spinner = ora("Creating folder structure...").start();
-  await createFolderStructure(answers, isTypeScript, isNextJs, isAppRouter);
-  spinner.succeed("Folder structure created!");
+  const { values, positionals } = parseArgs({ args: argv, options, allowPositionals: true });
+  if (values.pin && values["skip-install"]) {
+    throw new Error("--pin reads the installed versions, so it can't be combined with --skip-install");
+  }
 
-  // Generate starter files
-  spinner = ora("Generating starter files...").start();
-  await generateStarterFiles(answers, isTypeScript, isNextJs, isAppRouter, fileExt);
-  spinner.succeed("Starter files generated!");
+  return {
+    directory: positionals[0],
+    name: values.name,
+    yes: Boolean(values.yes),
+    help: Boolean(values.help),
+    preset: values.preset,
+    savePreset: values["save-preset"],
+    dryRun: Boolean(values["dry-run"]),
+    skipInstall: Boolean(values["skip-install"]),
+    offline: Boolean(values.offline),
+    pin: Boolean(values.pin),
+    keepOnFailure: Boolean(values["keep-on-failure"]),
+    existingDirectory:
+      values[existingDirectoryQuestion.flag] === undefined
+        ? undefined
+        : resolveFlagValue(existingDirectoryQuestion, values[existingDirectoryQuestion.flag]),
+    answers: getFlagAnswers(values, questions),
+  };
+}
 
-  // Update package.json with additional scripts
-  await updatePackageJsonScripts(answers, isNextJs, packageManager);
+// The answers given as flags, keyed by question name
+function getFlagAnswers(values, questions) {
+  const answers = {};
+  for (const question of questions) {
+    const value = values[question.flag];
+    if (value === undefined) continue;
+    answers[question.name] = resolveFlagValue(question, value);
+  }
+  return answers;
+}
+
+async function savePreset(name, answers) {
+  const rcPath = getRcPath();
+  const rc = (await fs.pathExists(rcPath)) ? await fs.readJson(rcPath) : {};
+  rc.presets = { ...rc.presets, [name]: answers };
+  await fs.writeJson(rcPath, rc, { spaces: 2 });
+  return rcPath;
+}
+
+// --plugin values, read before the full parse because plugins add flags
+function getPluginFlags(argv) {
+  const { values } = parseArgs({ args: argv, options: { plugin: { type: "string", multiple: true } }, strict: false });
+  return values.plugin ?? [];
+}
 
-  // Final success message
-  console.log(chalk.green("\n🎉 Project created successfully!"));
-  console.log(chalk.blue("\n📋 Next steps:"));
-  console.log(chalk.white(`  cd ${projectName}`));
-  console.log(chalk.white(`  ${packageManager} run dev`));
+// Whether an offline install failed for a package missing from the cache:
+// npm's ENOTCACHED, pnpm's ERR_PNPM_NO_OFFLINE_*, or Yarn's offline mirror and cache
+function isCacheMiss(error) {
+  return /ENOTCACHED|only-if-cached|ERR_PNPM_NO_OFFLINE|offline mirror|in our cache|offline mode/i.test(`${error.message}\n${error.stderr ?? ""}`);
+}
 
-  if (answers.codeQuality === "Yes") {
-    console.log(chalk.gray("\n🔧 Code quality tools:"));
-    console.log(chalk.white(`  ${packageManager} run lint`));
-    console.log(chalk.white(`  ${packageManager} run format`));
+// The manifest whose plugins have to be loaded to read its answers: the
+// project's own for add and generate, or a --preset pointing at one
+function getManifestPath(argv) {
+  if (argv[0] === "add" || argv[0] === "generate") {
+    return ".prtw.json";
   }
+  const { values } = parseArgs({ args: argv, options: { preset: { type: "string" } }, strict: false });
+  return typeof values.preset === "string" && values.preset.endsWith(".json") ? values.preset : "";
+}
 
-  console.log(chalk.gray(`\nUsing ${packageManager} as package manager. Happy coding! 🚀`));
-} catch (error) {
-  spinner.fail("Error creating project");
-  console.error(chalk.red(error.message));
-  process.exit(1);
+function toInquirerQuestion(question) {
+  return question.availableChoices ? { ...question, choices: question.availableChoices } : question;
 }
 
-// Helper functions
-async function createFolderStructure(answers, isTypeScript, isNextJs, isAppRouter) {
-  const folders = ["src/components/ui", "src/components/layout", "src/components/common", "src/hooks", "src/lib", "src/utils", "src/assets/images", "src/assets/icons"];
+function printHelp(questions) {
+  const rows = [
+    ...questions.map((question) => [`--${question.flag} <value>`, question.flagValues?.join(" | ") ?? question.message]),
+    ["--name <package-name>", "Package name, when it shouldn't be derived from the directory"],
+    ["--preset <name|path>", "Use a saved preset or a .prtw.json manifest"],
+    ["--save-preset <name>", "Save the final answers as a preset in ~/.prtwrc"],
+    ["--dry-run", "Print what would be created without writing or installing anything"],
+    ["--skip-install", "Write dependencies into package.json without installing them"],
+    ["--offline", "Use the bundled base template and install from the package manager's cache"],
+    ["--pin", "Write the exact installed versions into package.json"],
+    ["--if-exists <value>", `What to do when the target directory isn't empty: ${existingDirectoryQuestion.flagValues.join(" | ")}`],
+    ["--plugin <path|package>", "Load a plugin; repeat for several (also read from prtw.config.json)"],
+    ["--keep-on-failure", "Keep the partial project instead of rolling back when a step fails"],
+    ["-y, --yes", "Accept defaults for every option not given"],
+    ["-h, --help", "Show this help"],
+  ];
+
+  const width = Math.max(...rows.map(([label]) => label.length)) + 2;
+
+  console.log("Usage: create-prtw [directory|@scope/name] [options]\n\nOptions:");
+  for (const [label, description] of rows) {
+    console.log(`  ${label.padEnd(width)}${description}`);
+  }
+  console.log("\nAny option left out is prompted for interactively.");
+  console.log("Run create-prtw add --help to add a feature to an existing project,");
+  console.log("or create-prtw generate --help to generate components, pages, hooks and stores.");
+}
 
-  if (isNextJs) {
-    if (isAppRouter) {
-      folders.push("src/app");
-    } else {
-      folders.push("src/pages");
-    }
-  } else {
-    folders.push("src/routes", "src/pages");
+// true, or why `directory` can't hold a new project. Without an explicit
+// package name, the directory's name has to give a valid one.
+function checkProjectDirectory(directory, packageName) {
+  if (!directory.trim()) {
+    return "Project directory cannot be empty";
+  }
+  const directoryName = path.basename(path.resolve(directory.trim()));
+  if (!packageName && validatePackageName(toPackageName(directoryName)).length > 0) {
+    return `Can't make a package name from "${directoryName}". Pass one with --name.`;
   }
+  return true;
+}
+
+function formatCommand({ command, args }) {
+  return [command, ...args].join(" ");
+}
 
-  if (answers.stateManagement !== "Skip") {
-    folders.push("src/store");
+// `create-prtw add <feature>` for the project in the current directory. The
+// feature is planned like a new project with one more answer, and only the
+// difference is installed and written. Returns the exit code.
+async function runAdd(argv, questions, plugins) {
+  let args;
+  try {
+    args = parseAddArgs(argv, questions);
+  } catch (error) {
+    console.error(chalk.red(error.message));
+    console.error(chalk.gray("Run create-prtw add --help to see all options."));
+    return 1;
   }
 
-  if (answers.codeQuality === "Yes") {
-    folders.push("src/tests", "src/__tests__", "src/components/__tests__");
+  if (args.help || !args.feature) {
+    printAddHelp();
+    return args.help ? 0 : 1;
   }
 
-  if (isTypeScript) {
-    folders.push("src/types");
+  const feature = addableFeatures[args.feature];
+  if (!feature) {
+    console.error(chalk.red(`Unknown feature "${args.feature}". Available features: ${Object.keys(addableFeatures).join(", ")}`));
+    return 1;
   }
 
-  for (const folder of folders) {
-    await fs.ensureDir(folder);
+  let project;
+  try {
+    project = await detectProject(questions);
+  } catch (error) {
+    console.error(chalk.red(error.message));
+    return 1;
   }
-}
 
-async function generateStarterFiles(answers, isTypeScript, isNextJs, isAppRouter, fileExt) {
-  // Generate Button component
-  const buttonComponent = generateButtonComponent(answers.styling, isTypeScript, answers.icons);
-  await fs.writeFile(`src/components/ui/Button.${fileExt}`, buttonComponent);
+  // Flags override what was detected, e.g. --pm when there is no lockfile yet
+  const current = dropInapplicableAnswers(questions, { ...project.answers, ...args.answers });
+  for (const [name, value] of Object.entries(feature)) {
+    if (current[name] === value) {
+      console.log(chalk.green(`This project already uses ${value}. Nothing to add.`));
+      return 0;
+    }
+    if (!["None", "Skip", "No"].includes(current[name])) {
+      console.error(chalk.red(`This project already uses ${current[name]}, and create-prtw add doesn't replace it.`));
+      return 1;
+    }
+  }
 
-  // Generate Layout component
-  const layoutComponent = generateLayoutComponent(answers.styling, isTypeScript, answers.icons);
-  await fs.writeFile(`src/components/layout/Layout.${fileExt}`, layoutComponent);
+  let answers = applyDefaultAnswers(questions, { ...current, ...feature, ...args.answers });
+  answers = dropInapplicableAnswers(questions, answers);
+
+  const { version } = await fs.readJson(path.join(__dirname, "package.json"));
+  let plan;
+  try {
+    checkAvailableChoices(questions, answers);
+    plan = await buildAddPlan(current, answers, {
+      version,
+      plugins,
+      manifest: project.manifest,
+      skipInstall: args.skipInstall,
+      force: args.force,
+      packageManagerVersion: project.packageManagerVersion,
+    });
+  } catch (error) {
+    console.error(chalk.red(error.message));
+    return 1;
+  }
 
-  // Generate Theme Toggle (if using Tailwind or Shadcn)
-  if (answers.styling === "Tailwind" || answers.styling === "Shadcn") {
-    const themeToggle = generateThemeToggle(isTypeScript, answers.icons);
-    await fs.writeFile(`src/components/common/ThemeToggle.${fileExt}`, themeToggle);
+  if (args.dryRun) {
+    printPlan(plan);
+    return 0;
   }
 
-  // Generate API client
-  const apiClient = generateApiClient(isTypeScript);
-  await fs.writeFile(`src/lib/api.${isTypeScript ? "ts" : "js"}`, apiClient);
+  // A "Yes" answer says nothing on its own, so those features go by their name
+  const featureName = Object.values(feature).includes("Yes") ? args.feature : Object.values(feature).join(", ");
+  console.log(chalk.blue(`📦 Adding ${featureName} to this ${current.framework} project...`));
+
+  const { packageManager } = plan;
+  const tracker = await createChangeTracker(process.cwd());
+  const updated = new Set();
+  let spinner;
+
+  try {
+    if (plan.dependencies.length > 0 || plan.devDependencies.length > 0) {
+      if (plan.skipInstall) {
+        spinner = ora("Adding dependencies to package.json...").start();
+        await tracker.willModify("package.json");
+        await addDependenciesToPackageJson(process.cwd(), plan.dependencies, plan.devDependencies);
+        spinner.succeed("Dependencies added to package.json!");
+      } else {
+        spinner = ora("Installing dependencies...").start();
+        await tracker.willModify("package.json");
+        await trackInstallOutputs(tracker);
+        for (const { command, args } of getInstallCommands(plan)) {
+          await execa(command, args, { stdio: "pipe" });
+        }
+        spinner.succeed("Dependencies installed!");
+      }
+    }
 
-  // Generate state management files
-  if (answers.stateManagement === "Zustand") {
-    const zustandStore = generateZustandStore(isTypeScript);
-    await fs.writeFile(`src/store/useAuth.${isTypeScript ? "ts" : "js"}`, zustandStore);
-  } else if (answers.stateManagement === "Redux Toolkit") {
-    const reduxSlice = generateReduxSlice(isTypeScript);
-    await fs.writeFile(`src/store/authSlice.${isTypeScript ? "ts" : "js"}`, reduxSlice);
+    if (!plan.skipInstall) {
+      for (const step of plan.steps) {
+        spinner = ora(step.start).start();
+        for (const { command, args } of step.commands) {
+          await execa(command, args, { stdio: "pipe" });
+        }
+        spinner.succeed(step.succeed);
+      }
+    }
 
-    const reduxStore = generateReduxStore(isTypeScript);
-    await fs.writeFile(`src/store/store.${isTypeScript ? "ts" : "js"}`, reduxStore);
-  } else if (answers.stateManagement === "TanStack Query") {
-    const queryClient = generateQueryClient(isTypeScript);
-    await fs.writeFile(`src/lib/queryClient.${isTypeScript ? "ts" : "js"}`, queryClient);
-  }
-
-  // Generate React Router setup for React projects
-  if (!isNextJs) {
-    const appRoutes = generateReactRoutes(isTypeScript, fileExt);
-    await fs.writeFile(`src/routes/AppRoutes.${fileExt}`, appRoutes);
-
-    const mainApp = generateReactApp(answers, isTypeScript, fileExt);
-    await fs.writeFile(`src/App.${fileExt}`, mainApp);
-
-    // Generate sample pages
-    const homePage = generateHomePage(answers, isTypeScript, fileExt);
-    await fs.writeFile(`src/pages/HomePage.${fileExt}`, homePage);
-
-    const aboutPage = generateAboutPage(answers, isTypeScript, fileExt);
-    await fs.writeFile(`src/pages/AboutPage.${fileExt}`, aboutPage);
-  }
-
-  // Generate Protected Route component
-  const protectedRoute = generateProtectedRoute(answers, isTypeScript, fileExt);
-  await fs.writeFile(`src/components/common/ProtectedRoute.${fileExt}`, protectedRoute);
-
-  // Generate custom hooks
-  const customHooks = generateCustomHooks(isTypeScript);
-  await fs.writeFile(`src/hooks/index.${isTypeScript ? "ts" : "js"}`, customHooks);
-
-  // Generate code quality configs
-  if (answers.codeQuality === "Yes") {
-    const eslintConfig = generateEslintConfig(isNextJs);
-    await fs.writeFile(".eslintrc.json", eslintConfig);
-
-    const prettierConfig = generatePrettierConfig();
-    await fs.writeFile(".prettierrc", prettierConfig);
-
-    const commitlintConfig = generateCommitlintConfig();
-    await fs.writeFile("commitlint.config.js", commitlintConfig);
-
-    const lintStagedConfig = generateLintStagedConfig();
-    await fs.writeFile(".lintstagedrc.json", lintStagedConfig);
-
-    // Create Husky hooks
-    await fs.ensureDir(".husky");
-    await fs.writeFile(".husky/pre-commit", '#!/usr/bin/env sh\n. "$(dirname -- "$0")/_/husky.sh"\n\nnpx lint-staged\n');
-    await fs.writeFile(".husky/commit-msg", '#!/usr/bin/env sh\n. "$(dirname -- "$0")/_/husky.sh"\n\nnpx --no -- commitlint --edit ${1}\n');
-  }
-
-  // Generate utils
-  const utilsFile = generateUtils(isTypeScript);
-  await fs.writeFile(`src/utils/index.${isTypeScript ? "ts" : "js"}`, utilsFile);
-
-  // Generate TypeScript types
-  if (isTypeScript) {
-    const typesFile = generateTypes();
-    await fs.writeFile("src/types/index.ts", typesFile);
-  }
-}
-
-function generateButtonComponent(styling, isTypeScript, icons) {
-  const typeImports = isTypeScript
-    ? `
-interface ButtonProps {
-  children: React.ReactNode;
-  variant?: 'primary' | 'secondary' | 'outline' | 'ghost';
-  size?: 'sm' | 'md' | 'lg';
-  onClick?: () => void;
-  disabled?: boolean;
-  className?: string;
-  type?: 'button' | 'submit' | 'reset';
-}`
-    : "";
-
-  const propTypes = isTypeScript ? ": ButtonProps" : "";
-
-  let iconImport = "";
-  if (icons === "Lucide") {
-    iconImport = "import { Loader2 } from 'lucide-react';";
-  }
-
-  if (styling === "Tailwind" || styling === "Shadcn") {
-    return `import React from 'react';
-${iconImport}${typeImports}
-
-export const Button${propTypes} = ({
-  children,
-  variant = 'primary',
-  size = 'md',
-  onClick,
-  disabled = false,
-  className = '',
-  type = 'button',
-  ...props
-}) => {
-  const baseClasses = 'inline-flex items-center justify-center rounded-md font-medium transition-colors focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 disabled:opacity-50 disabled:pointer-events-none';
-  
-  const variants = {
-    primary: 'bg-primary text-primary-foreground hover:bg-primary/90',
-    secondary: 'bg-secondary text-secondary-foreground hover:bg-secondary/80',
-    outline: 'border border-input bg-background hover:bg-accent hover:text-accent-foreground',
-    ghost: 'hover:bg-accent hover:text-accent-foreground'
-  };
-  
-  const sizes = {
-    sm: 'h-9 px-3 text-sm',
-    md: 'h-10 px-4 py-2',
-    lg: 'h-11 px-8 text-lg'
-  };
-  
-  return (
-    <button
-      type={type}
-      className={\`\${baseClasses} \${variants[variant]} \${sizes[size]} \${className}\`}
-      onClick={onClick}
-      disabled={disabled}
-      {...props}
-    >
-      {disabled && icons === "Lucide" ? (
-        <>
-          <Loader2 className="mr-2 h-4 w-4 animate-spin" />
-          Loading...
-        </>
-      ) : (
-        children
-      )}
-    </button>
-  );
-};`;
-  } else {
-    return `import React from 'react';${typeImports}
-
-export const Button${propTypes} = ({
-  children,
-  variant = 'primary',
-  size = 'md',
-  onClick,
-  disabled = false,
-  className = '',
-  type = 'button',
-  ...props
-}) => {
-  return (
-    <button
-      type={type}
-      className={className}
-      onClick={onClick}
-      disabled={disabled}
-      {...props}
-    >
-      {children}
-    </button>
-  );
-};`;
-  }
-}
-
-function generateLayoutComponent(styling, isTypeScript, icons) {
-  let iconImports = "";
-  let menuIcon = "☰";
-  let closeIcon = "✕";
-
-  if (icons === "Lucide") {
-    iconImports = "import { Menu, X } from 'lucide-react';";
-    menuIcon = '<Menu className="h-6 w-6" />';
-    closeIcon = '<X className="h-6 w-6" />';
-  }
-
-  const typeImports = isTypeScript
-    ? `
-interface LayoutProps {
-  children: React.ReactNode;
-}`
-    : "";
-
-  return `import React, { useState } from 'react';
-${iconImports}
-import { Button } from '../ui/Button';${typeImports}
-
-export const Layout${isTypeScript ? ": React.FC<LayoutProps>" : ""} = ({ children }) => {
-  const [isMenuOpen, setIsMenuOpen] = useState(false);
-
-  return (
-    <div className="min-h-screen">
-      <header className="bg-background border-b border-border">
-        <div className="container mx-auto px-4">
-          <div className="flex items-center justify-between h-16">
-            <div className="flex items-center">
-              <h1 className="text-xl font-bold text-foreground">
-                MyApp
-              </h1>
-            </div>
-
-            <nav className="hidden md:flex items-center space-x-8">
-              <a href="/" className="text-foreground hover:text-primary">
-                Home
-              </a>
-              <a href="/about" className="text-foreground hover:text-primary">
-                About
-              </a>
-              <a href="/contact" className="text-foreground hover:text-primary">
-                Contact
-              </a>
-            </nav>
-
-            <div className="md:hidden">
-              <Button
-                variant="ghost"
-                size="sm"
-                onClick={() => setIsMenuOpen(!isMenuOpen)}
-              >
-                ${icons === "Lucide" ? `{isMenuOpen ? ${closeIcon} : ${menuIcon}}` : `{isMenuOpen ? "✕" : "☰"}`}
-              </Button>
-            </div>
-          </div>
-
-          {isMenuOpen && (
-            <div className="md:hidden">
-              <div className="px-2 pt-2 pb-3 space-y-1 sm:px-3">
-                <a href="/" className="block px-3 py-2 text-foreground hover:bg-accent rounded-md">
-                  Home
-                </a>
-                <a href="/about" className="block px-3 py-2 text-foreground hover:bg-accent rounded-md">
-                  About
-                </a>
-                <a href="/contact" className="block px-3 py-2 text-foreground hover:bg-accent rounded-md">
-                  Contact
-                </a>
-              </div>
-            </div>
-          )}
-        </div>
-      </header>
-
-      <main className="flex-1">
-        {children}
-      </main>
-
-      <footer className="bg-muted border-t border-border">
-        <div className="container mx-auto px-4 py-8">
-          <div className="text-center">
-            <p className="text-muted-foreground">
-              © 2024 MyApp. All rights reserved.
-            </p>
-          </div>
-        </div>
-      </footer>
-    </div>
-  );
-};`;
-}
+    spinner = ora("Writing files...").start();
+    for (const folder of plan.folders) {
+      await tracker.willCreate(folder);
+      await fs.ensureDir(folder);
+    }
+    for (const file of plan.files) {
+      await tracker.willModify(file.path);
+      await fs.outputFile(file.path, file.contents);
+    }
+    for (const edit of plan.edits) {
+      if (!(await fs.pathExists(edit.path))) continue;
+      await tracker.willModify(edit.path);
+      await fs.writeFile(edit.path, edit.update(await fs.readFile(edit.path, "utf8")));
+      updated.add(edit.path);
+    }
+    spinner.succeed("Files written!");
+
+    if (Object.keys(plan.scripts).length > 0) {
+      spinner = ora("Adding package.json scripts...").start();
+      await tracker.willModify("package.json");
+      await updatePackageJsonScripts(process.cwd(), plan.scripts);
+      spinner.succeed("package.json scripts added!");
+    }
+  } catch (error) {
+    const failedStep = spinner.text.replace(/\.\.\.$/, "");
+    spinner.fail(`Failed at step: ${failedStep}`);
+    console.error(chalk.red(error.message));
 
-function generateThemeToggle(isTypeScript, icons) {
-  return `import React, { useState, useEffect } from 'react';
-import { Button } from '../ui/Button';
+    if (args.keepOnFailure) {
+      console.error(chalk.gray("Kept the partial changes (--keep-on-failure)."));
+    } else {
+      spinner = ora("Undoing the changes this run made...").start();
+      try {
+        await tracker.rollback();
+        spinner.succeed("Rolled back the changes made by this run.");
+      } catch (rollbackError) {
+        spinner.fail(`Could not roll back: ${rollbackError.message}`);
+      }
+    }
+    return 1;
+  }
 
-export const ThemeToggle${isTypeScript ? ": React.FC" : ""} = () => {
-  const [theme, setTheme] = useState('light');
+  console.log(chalk.green(`\n🎉 Added ${featureName}!`));
+  for (const file of plan.files) {
+    console.log(chalk.white(`  ${file.path}`));
+  }
+  for (const file of updated) {
+    console.log(chalk.white(`  ${file} (updated)`));
+  }
 
-  useEffect(() => {
-    const savedTheme = localStorage.getItem('theme') || 'light';
-    setTheme(savedTheme);
-    document.documentElement.classList.toggle('dark', savedTheme === 'dark');
-  }, []);
+  if (plan.skipped.length > 0) {
+    console.log(chalk.yellow("\nLeft alone because they changed since create-prtw generated them:"));
+    for (const skipped of plan.skipped) {
+      console.log(chalk.white(`  ${skipped}`));
+    }
+    console.log(chalk.gray(`Update them by hand, or run create-prtw add ${args.feature} --force to overwrite them.`));
+  }
 
-  const toggleTheme = () => {
-    const newTheme = theme === 'light' ? 'dark' : 'light';
-    setTheme(newTheme);
-    localStorage.setItem('theme', newTheme);
-    document.documentElement.classList.toggle('dark', newTheme === 'dark');
-  };
+  if (plan.skipInstall) {
+    console.log(chalk.blue("\n📋 Next steps:"));
+    console.log(chalk.white(`  ${formatCommand(packageManager.install())}`));
+    for (const step of plan.steps) {
+      for (const command of step.commands) {
+        console.log(chalk.white(`  ${formatCommand(command)}`));
+      }
+    }
+  }
 
-  return (
-    <Button
-      variant="ghost"
-      size="sm"
-      onClick={toggleTheme}
-      className="w-9 h-9 p-0"
-    >
-      {theme === 'light' ? '🌙' : '☀️'}
-      <span className="sr-only">Toggle theme</span>
-    </Button>
-  );
-};`;
+  return 0;
 }
 
-function generateApiClient(isTypeScript) {
-  return `import axios${isTypeScript ? ", { AxiosResponse, AxiosError }" : ""} from 'axios';
+function parseAddArgs(argv, questions) {
+  const options = {
+    help: { type: "boolean", short: "h" },
+    force: { type: "boolean" },
+    "dry-run": { type: "boolean" },
+    "skip-install": { type: "boolean" },
+    "keep-on-failure": { type: "boolean" },
+    plugin: { type: "string", multiple: true },
+  };
+  for (const question of questions) {
+    options[question.flag] = { type: "string" };
+  }
 
-const api = axios.create({
-  baseURL: process.env.REACT_APP_API_URL || process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001/api',
-  timeout: 10000,
-  headers: {
-    'Content-Type': 'application/json',
-  },
-});
+  const { values, positionals } = parseArgs({ args: argv, options, allowPositionals: true });
+  if (positionals.length > 1) {
+    throw new Error(`Unexpected argument "${positionals[1]}". Add one feature at a time.`);
+  }
 
-export const apiClient = {
-  get: (url${isTypeScript ? ": string" : ""}) => api.get(url),
-  post: (url${isTypeScript ? ": string" : ""}, data${isTypeScript ? ": any" : ""}) => api.post(url, data),
-  put: (url${isTypeScript ? ": string" : ""}, data${isTypeScript ? ": any" : ""}) => api.put(url, data),
-  delete: (url${isTypeScript ? ": string" : ""}) => api.delete(url),
-};
+  return {
+    feature: positionals[0],
+    help: Boolean(values.help),
+    force: Boolean(values.force),
+    dryRun: Boolean(values["dry-run"]),
+    skipInstall: Boolean(values["skip-install"]),
+    keepOnFailure: Boolean(values["keep-on-failure"]),
+    answers: getFlagAnswers(values, questions),
+  };
+}
 
-export default api;`;
+function printAddHelp() {
+  const rows = [
+    ["--force", "Overwrite files and scripts that changed since they were generated"],
+    ["--dry-run", "Print what would change without writing or installing anything"],
+    ["--skip-install", "Write dependencies into package.json without installing them"],
+    ["--keep-on-failure", "Keep the partial changes instead of rolling back when a step fails"],
+    ["--<option> <value>", "Any create-prtw option, to correct what was detected (e.g. --pm pnpm)"],
+    ["-h, --help", "Show this help"],
+  ];
+
+  const width = Math.max(...rows.map(([label]) => label.length)) + 2;
+
+  console.log("Usage: create-prtw add <feature> [options]\n");
+  console.log(`Features: ${Object.keys(addableFeatures).join(", ")}\n\nOptions:`);
+  for (const [label, description] of rows) {
+    console.log(`  ${label.padEnd(width)}${description}`);
+  }
+  console.log("\nRun it from the project's root directory.");
 }
 
-function generateZustandStore(isTypeScript) {
-  return `import { create } from 'zustand';
+// The answers the project in the current directory was created with, worked
+// out from package.json, tsconfig and the file layout. A .prtw.json manifest
+// takes precedence, since it also knows what can't be detected, like Vanilla CSS.
+async function detectProject(questions) {
+  if (!(await fs.pathExists("package.json"))) {
+    throw new Error("No package.json found. Run create-prtw add from your project's root directory.");
+  }
 
-export const useAuth = create((set) => ({
-  user: null,
-  isAuthenticated: false,
-  login: (user) => set({ user, isAuthenticated: true }),
-  logout: () => set({ user: null, isAuthenticated: false }),
-}));`;
-}
+  const packageJson = await fs.readJson("package.json");
+  const packages = { ...packageJson.dependencies, ...packageJson.devDependencies };
+  const has = (name) => name in packages;
+  // The answer for the first listed package the project depends on
+  const firstListed = (candidates, fallback) => candidates.find(([name]) => has(name))?.[1] ?? fallback;
+
+  const answers = {};
+  if (has("next")) {
+    answers.framework = "Next.js";
+    if (await fs.pathExists("src/app")) {
+      answers.router = "App Router (Recommended)";
+    } else if (await fs.pathExists("src/pages")) {
+      answers.router = "Pages Router (Legacy)";
+    } else {
+      throw new Error("No src/app or src/pages directory found. create-prtw add only works with Next.js projects that use src/.");
+    }
+  } else if (has("vite")) {
+    answers.framework = "React (Vite)";
+  } else {
+    throw new Error("This doesn't look like a Vite or Next.js project: package.json lists neither vite nor next.");
+  }
 
-function generateReduxSlice(isTypeScript) {
-  return `import { createSlice } from '@reduxjs/toolkit';
+  answers.language = (await fs.pathExists("tsconfig.json")) ? "TypeScript" : "JavaScript";
+
+  // The packageManager field (e.g. "pnpm@9.12.0"), then the lockfile
+  const [managerName, managerVersion = ""] = (packageJson.packageManager ?? "").split("@");
+  const lockfiles = [
+    ["pnpm-lock.yaml", "pnpm"],
+    ["yarn.lock", "yarn"],
+    ["bun.lock", "bun"],
+    ["bun.lockb", "bun"],
+  ];
+  answers.packageManager = ["npm", "yarn", "pnpm", "bun"].includes(managerName) ? managerName : "npm";
+  if (!packageJson.packageManager) {
+    for (const [lockfile, name] of lockfiles) {
+      if (await fs.pathExists(lockfile)) {
+        answers.packageManager = name;
+        break;
+      }
+    }
+  }
 
-const authSlice = createSlice({
-  name: 'auth',
-  initialState: {
-    user: null,
-    isAuthenticated: false,
-  },
-  reducers: {
-    login: (state, action) => {
-      state.user = action.payload;
-      state.isAuthenticated = true;
-    },
-    logout: (state) => {
-      state.user = null;
-      state.isAuthenticated = false;
-    },
-  },
-});
+  if (has("tailwindcss")) {
+    answers.styling = (await fs.pathExists("components.json")) ? "Shadcn" : "Tailwind";
+    const isV4 = has("@tailwindcss/vite") || has("@tailwindcss/postcss") || /^\D*4/.test(packages.tailwindcss);
+    answers.tailwindVersion = isV4 ? "v4 (Experimental)" : "v3 (Stable)";
+  } else {
+    answers.styling = "None";
+  }
 
-export const { login, logout } = authSlice.actions;
-export default authSlice.reducer;`;
-}
+  answers.stateManagement = firstListed(
+    [
+      ["@reduxjs/toolkit", "Redux Toolkit"],
+      ["zustand", "Zustand"],
+      ["@tanstack/react-query", "TanStack Query"],
+    ],
+    "Skip"
+  );
+  answers.icons = firstListed(
+    [
+      ["lucide-react", "Lucide"],
+      ["react-icons", "React Icons"],
+      ["@iconify/react", "Iconify"],
+    ],
+    "Skip"
+  );
+  answers.forms = has("react-hook-form") ? "React Hook Form + Zod" : "Skip";
+  answers.i18n = firstListed(
+    [
+      ["react-i18next", "react-i18next"],
+      ["next-intl", "next-intl"],
+    ],
+    "Skip"
+  );
+  answers.apiMocking = has("msw") ? "MSW" : "Skip";
+  answers.e2e = has("@playwright/test") ? "Playwright" : "Skip";
+  answers.storybook = has("storybook") ? "Yes" : "No";
+  answers.codeQuality = has("husky") ? "Yes" : "No";
+  answers.testing = firstListed(
+    [
+      ["vitest", "Vitest"],
+      ["jest", "Jest"],
+    ],
+    "Skip"
+  );
 
-function generateReduxStore(isTypeScript) {
-  return `import { configureStore } from '@reduxjs/toolkit';
-import authReducer from './authSlice';
+  let manifest = null;
+  if (await fs.pathExists(".prtw.json")) {
+    manifest = await fs.readJson(".prtw.json");
+    Object.assign(answers, await loadPreset(path.resolve(".prtw.json"), questions));
+  }
 
-export const store = configureStore({
-  reducer: {
-    auth: authReducer,
-  },
-});`;
+  return {
+    answers: dropInapplicableAnswers(questions, answers),
+    manifest,
+    packageManagerVersion: managerName === answers.packageManager ? managerVersion : "",
+  };
 }
 
-function generateQueryClient(isTypeScript) {
-  return `import { QueryClient } from '@tanstack/react-query';
+// What adding a feature changes: the plan for the answers with the feature
+// minus the plan for the current answers, shaped like a buildPlan() result.
+// A file on disk is only rewritten while it still matches what create-prtw
+// generated for the current answers (or with `force`), and starter files the
+// project doesn't have aren't brought back.
+async function buildAddPlan(current, answers, { version, plugins = [], manifest = null, skipInstall = false, force = false, packageManagerVersion = "" }) {
+  const options = { version, skipInstall, plugins, packageManagerVersion };
+  const before = buildPlan(".", current, options);
+  const after = buildPlan(".", answers, options);
+
+  const packageJson = await fs.readJson("package.json");
+  const listed = { ...packageJson.dependencies, ...packageJson.devDependencies };
+  const isMissing = (previous) => (spec) => !previous.includes(spec) && !(parsePackageSpec(spec)[0] in listed);
+
+  const previousFiles = new Map(before.files.map((file) => [file.path, file.contents]));
+  const files = [];
+  const skipped = [];
+  for (const file of after.files) {
+    const previous = previousFiles.get(file.path);
+    if (file.path === ".prtw.json" || file.contents === previous) continue;
+
+    const onDisk = (await fs.pathExists(file.path)) ? await fs.readFile(file.path, "utf8") : undefined;
+    if (onDisk === file.contents) continue;
+    if (onDisk === undefined) {
+      if (previous === undefined) files.push(file);
+    } else if (onDisk === previous || force) {
+      files.push(file);
+    } else {
+      skipped.push(file.path);
+    }
+  }
 
-export const queryClient = new QueryClient({
-  defaultOptions: {
-    queries: {
-      staleTime: 1000 * 60 * 5,
-      cacheTime: 1000 * 60 * 10,
-    },
-  },
-});`;
-}
-
-function generateReactRoutes(isTypeScript, fileExt) {
-  return `import React from 'react';
-import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
-import { Layout } from '../components/layout/Layout';
-import HomePage from '../pages/HomePage';
-import AboutPage from '../pages/AboutPage';
-
-export const AppRoutes${isTypeScript ? ": React.FC" : ""} = () => {
-  return (
-    <Router>
-      <Layout>
-        <Routes>
-          <Route path="/" element={<HomePage />} />
-          <Route path="/about" element={<AboutPage />} />
-        </Routes>
-      </Layout>
-    </Router>
-  );
-};
+  // Keep the manifest in step, so the next `add` knows about this feature
+  files.push({
+    path: ".prtw.json",
+    contents: manifest ? JSON.stringify({ ...manifest, answers }, null, 2) : generateManifest(answers, version, plugins),
+  });
+
+  const scripts = {};
+  for (const [name, script] of Object.entries(after.scripts)) {
+    const existing = packageJson.scripts?.[name];
+    if (script === before.scripts[name] || script === existing) continue;
+    if (existing === undefined || existing === before.scripts[name] || force) {
+      scripts[name] = script;
+    } else {
+      skipped.push(`package.json script "${name}"`);
+    }
+  }
 
-export default AppRoutes;`;
+  return {
+    ...after,
+    scaffold: null,
+    dependencies: after.dependencies.filter(isMissing(before.dependencies)),
+    devDependencies: after.devDependencies.filter(isMissing(before.devDependencies)),
+    steps: after.steps.filter((step) => !before.steps.some((previous) => previous.start === step.start)),
+    folders: after.folders.filter((folder) => !before.folders.includes(folder)),
+    files,
+    // Edits for files the project already has, like next-intl's plugin in next.config
+    edits: after.edits.filter((edit) => !before.edits.some((previous) => previous.path === edit.path && previous.name === edit.name)),
+    // The project keeps its own .env files
+    envFiles: [],
+    scripts,
+    skipped,
+  };
 }
 
-function generateReactApp(answers, isTypeScript, fileExt) {
-  return `import React from 'react';
-import AppRoutes from './routes/AppRoutes';
-import './index.css';
+// `create-prtw generate <kind> <Name>` for the project in the current
+// directory. Returns the exit code.
+async function runGenerate(argv, questions) {
+  let args;
+  try {
+    args = parseGenerateArgs(argv, questions);
+  } catch (error) {
+    console.error(chalk.red(error.message));
+    console.error(chalk.gray("Run create-prtw generate --help to see all options."));
+    return 1;
+  }
 
-function App() {
-  return (
-    <div className="App">
-      <AppRoutes />
-    </div>
-  );
-}
+  if (args.help || !args.kind || !args.name) {
+    printGenerateHelp();
+    return args.help ? 0 : 1;
+  }
 
-export default App;`;
-}
+  let plan;
+  try {
+    const project = await detectProject(questions);
+    const answers = dropInapplicableAnswers(questions, { ...project.answers, ...args.answers });
+    plan = await buildGeneratePlan(args.kind, args.name, answers, { test: args.test, force: args.force });
+  } catch (error) {
+    console.error(chalk.red(error.message));
+    return 1;
+  }
 
-function generateHomePage(answers, isTypeScript, fileExt) {
-  return `import React from 'react';
-import { Button } from '../components/ui/Button';
+  if (args.dryRun) {
+    console.log(chalk.yellow("\n📝 Dry run: nothing will be written."));
+    console.log(chalk.blue("\nFiles:"));
+    for (const file of plan.files) {
+      console.log(chalk.white(`  ${file.path}`));
+    }
+    console.log(chalk.blue("\nFiles to update:"));
+    if (plan.updates.length === 0) {
+      console.log(chalk.gray("  (none)"));
+    }
+    for (const update of plan.updates) {
+      console.log(chalk.white(`  ${update.path}`));
+    }
+  } else {
+    const tracker = await createChangeTracker(process.cwd());
+    try {
+      for (const file of [...plan.files, ...plan.updates]) {
+        await tracker.willModify(file.path);
+        await fs.outputFile(file.path, file.contents);
+      }
+    } catch (error) {
+      console.error(chalk.red(error.message));
+      await tracker.rollback();
+      return 1;
+    }
 
-const HomePage${isTypeScript ? ": React.FC" : ""} = () => {
-  return (
-    <div className="container mx-auto px-4 py-16">
-      <div className="text-center">
-        <h1 className="text-4xl font-bold mb-6">Welcome to MyApp</h1>
-        <p className="text-xl mb-8">A modern React application</p>
-        <Button variant="primary">Get Started</Button>
-      </div>
-    </div>
-  );
-};
+    for (const file of plan.files) {
+      console.log(chalk.green(`✔ Created ${file.path}`));
+    }
+    for (const update of plan.updates) {
+      console.log(chalk.green(`✔ Updated ${update.path}`));
+    }
+  }
 
-export default HomePage;`;
+  for (const note of plan.notes) {
+    console.log(chalk.yellow(`\n${note}`));
+  }
+  return 0;
 }
 
-function generateAboutPage(answers, isTypeScript, fileExt) {
-  return `import React from 'react';
+function parseGenerateArgs(argv, questions) {
+  const options = {
+    help: { type: "boolean", short: "h" },
+    force: { type: "boolean" },
+    "dry-run": { type: "boolean" },
+    "no-test": { type: "boolean" },
+    plugin: { type: "string", multiple: true },
+  };
+  for (const question of questions) {
+    options[question.flag] = { type: "string" };
+  }
 
-const AboutPage${isTypeScript ? ": React.FC" : ""} = () => {
-  return (
-    <div className="container mx-auto px-4 py-16">
-      <h1 className="text-4xl font-bold mb-8">About Us</h1>
-      <p className="text-lg">This is the about page.</p>
-    </div>
-  );
-};
+  const { values, positionals } = parseArgs({ args: argv, options, allowPositionals: true });
+  const [kind, name, ...rest] = positionals;
+  if (kind && !generators.includes(kind)) {
+    throw new Error(`Unknown kind "${kind}". Choose one of: ${generators.join(", ")}`);
+  }
+  if (rest.length > 0) {
+    throw new Error(`Unexpected argument "${rest[0]}". Generate one ${kind} at a time.`);
+  }
 
-export default AboutPage;`;
+  return {
+    kind,
+    name,
+    help: Boolean(values.help),
+    force: Boolean(values.force),
+    dryRun: Boolean(values["dry-run"]),
+    test: !values["no-test"],
+    answers: getFlagAnswers(values, questions),
+  };
 }
 
-function generateProtectedRoute(answers, isTypeScript, fileExt) {
-  return `import React from 'react';
-import { Navigate } from 'react-router-dom';
+function printGenerateHelp() {
+  const rows = [
+    ["component <Name>", "src/components/common/<Name>, or src/components/<dir>/<Name> for <dir>/<Name>"],
+    ["page <Name>", "src/pages/<Name>Page registered in AppRoutes (Vite), or an app/ or pages/ route (Next.js)"],
+    ["hook <Name>", "src/hooks/use<Name>, exported from src/hooks"],
+    ["store <Name>", "A Redux slice registered in the store, or a Zustand store"],
+  ];
+  const options = [
+    ["--no-test", "Don't generate a test file (tests are generated when the project has Vitest or Jest)"],
+    ["--force", "Overwrite files that already exist"],
+    ["--dry-run", "Print what would be written without writing anything"],
+    ["-h, --help", "Show this help"],
+  ];
+
+  const width = Math.max(...[...rows, ...options].map(([label]) => label.length)) + 2;
+
+  console.log("Usage: create-prtw generate <kind> <Name> [options]\n\nKinds:");
+  for (const [label, description] of rows) {
+    console.log(`  ${label.padEnd(width)}${description}`);
+  }
+  console.log("\nOptions:");
+  for (const [label, description] of options) {
+    console.log(`  ${label.padEnd(width)}${description}`);
+  }
+  console.log("\nRun it from the project's root directory.");
+}
 
-export const ProtectedRoute${isTypeScript ? ": React.FC<{ children: React.ReactNode }>" : ""} = ({ children }) => {
-  const isAuthenticated = false; // Replace with your auth logic
+// The files `create-prtw generate` writes for `kind`, rendered from
+// templates/generate, plus `updates` to existing files that register the new
+// code and `notes` for registrations that have to be done by hand
+async function buildGeneratePlan(kind, rawName, answers, { test = true, force = false } = {}) {
+  const isTypeScript = answers.language === "TypeScript";
+  const isNextJs = answers.framework === "Next.js";
+  const isAppRouter = answers.router === "App Router (Recommended)";
+  const fileExt = isTypeScript ? "tsx" : "jsx";
+  const scriptExt = isTypeScript ? "ts" : "js";
+  const routeExt = isTypeScript ? "tsx" : "js";
+  const withTest = test && answers.testing !== "Skip";
+
+  const segments = rawName.split("/");
+  const baseName = segments.pop();
+  if (segments.length > 0 && kind !== "component") {
+    throw new Error(`Only components can go in a subdirectory; pass a plain name for the ${kind}.`);
+  }
 
-  if (!isAuthenticated) {
-    return <Navigate to="/login" replace />;
+  // "user-profile", "userProfile" and "UserProfile" all become UserProfile;
+  // a "use" prefix or "Page"/"Slice"/"Store" suffix is dropped where it would double up
+  let stripped = baseName;
+  if (kind === "hook" || kind === "store") stripped = stripped.replace(/^use(?=[A-Z])/, "");
+  if (kind === "page") stripped = stripped.replace(/Page$/, "");
+  if (kind === "store") stripped = stripped.replace(/(Slice|Store)$/, "");
+  const name = toPascalCase(stripped);
+  if (!/^[A-Z][A-Za-z0-9]*$/.test(name)) {
+    throw new Error(`"${rawName}" is not a valid name. Use letters and digits, e.g. UserProfile.`);
   }
 
-  return <>{children}</>;
-};`;
-}
+  const context = getTemplateContext(answers, { name });
+  const files = [];
+  const updates = [];
+  const notes = [];
+  const add = (filePath, template, values = {}) => {
+    files.push({ path: filePath, contents: renderTemplate(`generate/${template}`, { ...context, ...values }) });
+  };
+  // Applies `update` to an existing file, or explains what to do by hand
+  const register = async (filePath, update, manualStep) => {
+    const contents = (await fs.pathExists(filePath)) ? await fs.readFile(filePath, "utf8") : null;
+    const updated = contents === null ? null : update(contents);
+    if (updated === null) {
+      notes.push(`Couldn't update ${filePath}. ${manualStep}`);
+    } else if (updated !== contents) {
+      updates.push({ path: filePath, contents: updated });
+    }
+  };
 
-function generateCustomHooks(isTypeScript) {
-  return `import { useState, useEffect } from 'react';
+  if (kind === "component") {
+    const dir = segments.length > 0 ? segments.join("/") : "common";
+    add(`src/components/${dir}/${name}.${fileExt}`, "component.tsx");
+    if (withTest) {
+      add(`src/components/__tests__/${name}.test.${fileExt}`, "component.test.tsx", { componentImport: `../${dir}/${name}` });
+    }
+  } else if (kind === "page") {
+    const route = toKebabCase(name);
+    const values = { title: name.replace(/(?<=[a-z0-9])(?=[A-Z])/g, " ") };
 
-export const useLocalStorage = (key${isTypeScript ? ": string" : ""}, initialValue${isTypeScript ? ": any" : ""}) => {
-  const [storedValue, setStoredValue] = useState(() => {
-    try {
-      const item = window.localStorage.getItem(key);
-      return item ? JSON.parse(item) : initialValue;
-    } catch (error) {
-      return initialValue;
+    if (!isNextJs) {
+      add(`src/pages/${name}Page.${fileExt}`, "page.tsx", values);
+      const importLine = `import ${name}Page from '../pages/${name}Page';`;
+      const routeLine = `<Route path="/${route}" element={<${name}Page />} />`;
+      await register(
+        `src/routes/AppRoutes.${fileExt}`,
+        (contents) => (contents.includes(routeLine) ? contents : addRouteLine(addImportLine(contents, importLine), routeLine)),
+        `Add ${importLine} and ${routeLine} to your routes.`
+      );
+      values.pageImport = `../pages/${name}Page`;
+    } else if (isAppRouter) {
+      add(`src/app/${route}/page.${routeExt}`, "page.tsx", values);
+      values.pageImport = `../app/${route}/page`;
+    } else {
+      add(`src/pages/${route}.${routeExt}`, "page.tsx", values);
+      values.pageImport = `../pages/${route}`;
     }
-  });
 
-  const setValue = (value${isTypeScript ? ": any" : ""}) => {
-    try {
-      setStoredValue(value);
-      window.localStorage.setItem(key, JSON.stringify(value));
-    } catch (error) {
-      console.error(error);
+    if (withTest) {
+      add(`src/__tests__/${name}Page.test.${fileExt}`, "page.test.tsx", values);
     }
-  };
+  } else if (kind === "hook") {
+    add(`src/hooks/use${name}.${scriptExt}`, "hook.ts");
+    const exportLine = `export * from './use${name}';`;
+    await register(
+      `src/hooks/index.${scriptExt}`,
+      (contents) => {
+        if (contents.includes(exportLine)) return contents;
+        // Keep re-exports together, apart from the hooks defined in the file
+        const trimmed = contents.replace(/\s*$/, "");
+        const separator = trimmed === "" ? "" : /^export \* from .*$/m.test(trimmed.split("\n").pop()) ? "\n" : "\n\n";
+        return `${trimmed}${separator}${exportLine}\n`;
+      },
+      `Import it from '@/hooks/use${name}'.`
+    );
+    if (withTest) {
+      add(`src/__tests__/use${name}.test.${scriptExt}`, "hook.test.ts");
+    }
+  } else if (answers.stateManagement === "Redux Toolkit") {
+    const key = name.charAt(0).toLowerCase() + name.slice(1);
+    add(`src/store/${key}Slice.${scriptExt}`, "slice.ts", { key });
+    const importLine = `import ${key}Reducer from './${key}Slice';`;
+    await register(
+      `src/store/store.${scriptExt}`,
+      (contents) => {
+        if (contents.includes(importLine)) return contents;
+        const updated = addReducerEntry(contents, `${key}: ${key}Reducer,`);
+        return updated === null ? null : addImportLine(updated, importLine);
+      },
+      `Add ${importLine} and \`${key}: ${key}Reducer\` to the reducer in configureStore.`
+    );
+    if (withTest) {
+      add(`src/__tests__/${key}Slice.test.${scriptExt}`, "slice.test.ts", { key });
+    }
+  } else if (answers.stateManagement === "Zustand") {
+    add(`src/store/use${name}Store.${scriptExt}`, "store.ts");
+    if (withTest) {
+      add(`src/__tests__/use${name}Store.test.${scriptExt}`, "store.test.ts");
+    }
+  } else {
+    throw new Error(
+      `Stores need Redux Toolkit or Zustand, and this project uses ${answers.stateManagement === "Skip" ? "neither" : answers.stateManagement}. ` +
+        "Run create-prtw add redux or create-prtw add zustand first."
+    );
+  }
 
-  return [storedValue, setValue];
-};`;
-}
+  if (!force) {
+    for (const file of files) {
+      if (await fs.pathExists(file.path)) {
+        throw new Error(`${file.path} already exists. Pick another name, or pass --force to overwrite it.`);
+      }
+    }
+  }
 
-function generateEslintConfig(isNextJs) {
-  return JSON.stringify(
-    {
-      extends: isNextJs ? ["next/core-web-vitals", "prettier"] : ["eslint:recommended", "prettier"],
-      plugins: ["prettier"],
-      rules: {
-        "prettier/prettier": "error",
-      },
-    },
-    null,
-    2
-  );
+  return { files, updates, notes };
 }
 
-function generatePrettierConfig() {
-  return JSON.stringify(
-    {
-      semi: true,
-      singleQuote: true,
-      printWidth: 80,
-      tabWidth: 2,
-    },
-    null,
-    2
-  );
+// "user-profile" or "userProfile" -> "UserProfile"
+function toPascalCase(value) {
+  return value.replace(/(^|[-_\s]+)(\w)/g, (match, separator, letter) => letter.toUpperCase());
 }
 
-function generateCommitlintConfig() {
-  return `module.exports = {
-  extends: ['@commitlint/config-conventional'],
-};`;
+// "UserProfile" -> "user-profile"
+function toKebabCase(value) {
+  return value.replace(/(?<=[a-z0-9])(?=[A-Z])/g, "-").toLowerCase();
 }
 
-function generateLintStagedConfig() {
-  return JSON.stringify(
-    {
-      "*.{js,jsx,ts,tsx}": ["eslint --fix", "prettier --write"],
-      "*.{json,css,md}": ["prettier --write"],
-    },
-    null,
-    2
-  );
+// `contents` with `line` after its last import
+function addImportLine(contents, line) {
+  const imports = [...contents.matchAll(/^import\s[^;]*?['"][^'"\n]+['"];?[ \t]*$/gm)];
+  if (imports.length === 0) {
+    return `${line}\n${contents}`;
+  }
+  const last = imports[imports.length - 1];
+  const end = last.index + last[0].length;
+  return `${contents.slice(0, end)}\n${line}${contents.slice(end)}`;
 }
 
-function generateUtils(isTypeScript) {
-  return `export const formatDate = (date${isTypeScript ? ": Date" : ""}) => {
-  return new Intl.DateTimeFormat('en-US').format(date);
-};
+// `contents` with `route` after its last <Route />, or null when it has none
+function addRouteLine(contents, route) {
+  const routes = [...contents.matchAll(/^([ \t]*)<Route\s.*\/>[ \t]*$/gm)];
+  if (routes.length === 0) return null;
 
-export const debounce = (func${isTypeScript ? ": Function" : ""}, wait${isTypeScript ? ": number" : ""}) => {
-  let timeout${isTypeScript ? ": NodeJS.Timeout" : ""};
-  return (...args${isTypeScript ? ": any[]" : ""}) => {
-    clearTimeout(timeout);
-    timeout = setTimeout(() => func(...args), wait);
-  };
-};`;
+  const [match, indent] = routes[routes.length - 1];
+  const end = routes[routes.length - 1].index + match.length;
+  return `${contents.slice(0, end)}\n${indent}${route}${contents.slice(end)}`;
 }
 
-function generateTypes() {
-  return `export interface User {
-  id: string;
-  name: string;
-  email: string;
-}
+// `contents` with `entry` at the end of its `reducer: { ... }` object, or null
+// when there is no such object
+function addReducerEntry(contents, entry) {
+  const start = contents.search(/\breducer:\s*\{/);
+  if (start === -1) return null;
+
+  const open = contents.indexOf("{", start);
+  let depth = 0;
+  let close = -1;
+  for (let index = open; index < contents.length && close === -1; index++) {
+    if (contents[index] === "{") depth++;
+    if (contents[index] === "}" && --depth === 0) close = index;
+  }
+  if (close === -1) return null;
 
-export interface AuthState {
-  user: User | null;
-  isAuthenticated: boolean;
-}`;
+  const body = contents.slice(open + 1, close).replace(/\s*$/, "");
+  const lineIndent = contents.slice(contents.lastIndexOf("\n", start) + 1, start).match(/^[ \t]*/)[0];
+  const indent = body.match(/\n([ \t]+)\S/)?.[1] ?? `${lineIndent}  `;
+  const separator = body.trim() === "" || body.endsWith(",") ? "" : ",";
+  return `${contents.slice(0, open + 1)}${body}${separator}\n${indent}${entry}\n${lineIndent}${contents.slice(close)}`;
 }
 
-async function updatePackageJsonScripts(answers, isNextJs, packageManager) {
-  const packageJsonPath = "package.json";
-  const packageJson = await fs.readJson(packageJsonPath);
-
-  const additionalScripts = {
-    dev: isNextJs ? "next dev" : "vite",
-    build: isNextJs ? "next build" : "vite build",
-    start: isNextJs ? "next start" : "vite preview",
+function printPlan(plan) {
+  const directory = plan.targetDir ? path.relative(process.cwd(), plan.targetDir) || "." : plan.projectName;
+  const section = (title, lines) => {
+    console.log(chalk.blue(`\n${title}`));
+    if (lines.length === 0) {
+      console.log(chalk.gray("  (none)"));
+    }
+    for (const line of lines) {
+      console.log(chalk.white(`  ${line}`));
+    }
   };
 
-  if (answers.codeQuality === "Yes") {
-    additionalScripts["lint"] = "eslint . --ext .js,.jsx,.ts,.tsx";
-    additionalScripts["lint:fix"] = "eslint . --ext .js,.jsx,.ts,.tsx --fix";
-    additionalScripts["format"] = "prettier --write .";
-    additionalScripts["format:check"] = "prettier --check .";
+  console.log(chalk.yellow("\n📝 Dry run: nothing will be written, installed or downloaded."));
+
+  const existingNote = {
+    Overwrite: `Existing files in ${directory}/ are deleted first`,
+    Merge: `Scaffolded separately, then merged into ${directory}/ keeping its existing files`,
+  }[plan.existingDirectory];
+  if (plan.scaffold) {
+    const scaffold = plan.scaffold.files
+      ? `Bundled ${plan.isNextJs ? "Next.js" : "Vite"} template with pinned versions (${plan.scaffold.files.map((file) => file.path).join(", ")})`
+      : `$ ${formatCommand(plan.scaffold)}`;
+    section("Base project:", [scaffold, `Package name: ${plan.packageName}`, ...(existingNote ? [existingNote] : [])]);
   }
-
-  packageJson.scripts = {
-    ...packageJson.scripts,
-    ...additionalScripts,
-  };
-
-  await fs.writeJson(packageJsonPath, packageJson, { spaces: 2 });
+  if (plan.plugins.length > 0) {
+    section("Plugins:", plan.plugins);
+  }
+  section("Dependencies:", plan.dependencies);
+  section("Dev dependencies:", plan.devDependencies);
+  section(
+    plan.skipInstall ? "Install (skipped, dependencies are only added to package.json):" : "Install:",
+    [
+      ...getInstallCommands(plan).map((command) => `$ ${formatCommand(command)}`),
+      ...(plan.pin ? ["Then pin every dependency to its installed version"] : []),
+    ]
+  );
+  section(
+    "Commands:",
+    plan.steps.flatMap((step) => step.commands.map((command) => `$ ${formatCommand(command)}`))
+  );
+  section(`Folders (${plan.folders.length}):`, plan.folders.map((folder) => path.join(directory, folder)));
+  section(`Files (${plan.files.length}):`, plan.files.map((file) => path.join(directory, file.path)));
+  section("Files to update:", [...new Set(plan.edits.map((edit) => path.join(directory, edit.path)))]);
+  if (plan.envFiles.length > 0) {
+    section(
+      "Environment files:",
+      plan.envFiles.map((file) => `${path.join(directory, file.path)}${file.keepExisting ? " (kept if it exists)" : ""}`)
+    );
+  }
+  if (plan.existingDirectory === "Merge" && plan.skipped.length > 0) {
+    section("Skipped, already in the directory:", plan.skipped.map((file) => path.join(directory, file)));
+  } else if (plan.skipped?.length > 0) {
+    section("Skipped, changed since they were generated (--force to overwrite):", plan.skipped);
+  }
+  section(
+    "package.json scripts:",
+    Object.entries(plan.scripts).map(([name, script]) => `${name}: ${script}`)
+  );
 }
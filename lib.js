@@ -0,0 +1,1993 @@
+import { execa } from "execa";
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import { builtinModules, createRequire } from "module";
+import { fileURLToPath, pathToFileURL } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Prompts, in order. `flag` is the CLI option that answers the prompt and
+// `flagValues` lists the short values it accepts, one per choice. When only
+// some choices fit the earlier answers, `availableChoices` narrows them down.
+export const questions = [
+  {
+    type: "list",
+    name: "framework",
+    message: "Choose framework:",
+    choices: ["React (Vite)", "Next.js"],
+    flag: "framework",
+    flagValues: ["vite", "next"],
+  },
+  {
+    type: "list",
+    name: "router",
+    message: "Choose router system:",
+    choices: ["App Router (Recommended)", "Pages Router (Legacy)"],
+    flag: "router",
+    flagValues: ["app", "pages"],
+    when: (answers) => answers.framework === "Next.js",
+  },
+  {
+    type: "list",
+    name: "language",
+    message: "Choose language:",
+    choices: ["JavaScript", "TypeScript"],
+    flag: "language",
+    flagValues: ["js", "ts"],
+  },
+  {
+    type: "list",
+    name: "packageManager",
+    message: "Choose package manager:",
+    choices: ["npm", "yarn", "pnpm", "bun"],
+    default: detectPackageManager().name,
+    flag: "pm",
+    flagValues: ["npm", "yarn", "pnpm", "bun"],
+  },
+  {
+    type: "list",
+    name: "styling",
+    message: "Choose styling solution:",
+    choices: ["Tailwind", "Shadcn", "Vanilla CSS", "None"],
+    flag: "styling",
+    flagValues: ["tailwind", "shadcn", "vanilla", "none"],
+  },
+  {
+    type: "list",
+    name: "tailwindVersion",
+    message: "Choose Tailwind version:",
+    choices: ["v3 (Stable)", "v4 (Experimental)"],
+    flag: "tailwind-version",
+    flagValues: ["v3", "v4"],
+    when: (answers) => answers.styling === "Tailwind",
+  },
+  {
+    type: "list",
+    name: "stateManagement",
+    message: "Choose state management:",
+    choices: ["Redux Toolkit", "Zustand", "TanStack Query", "Skip"],
+    flag: "state",
+    flagValues: ["redux", "zustand", "tanstack-query", "none"],
+  },
+  {
+    type: "list",
+    name: "icons",
+    message: "Choose icon library:",
+    choices: ["Lucide", "React Icons", "Iconify", "Skip"],
+    flag: "icons",
+    flagValues: ["lucide", "react-icons", "iconify", "none"],
+  },
+  {
+    type: "list",
+    name: "forms",
+    message: "Choose form handling:",
+    choices: ["React Hook Form + Zod", "Skip"],
+    default: "Skip",
+    flag: "forms",
+    flagValues: ["react-hook-form", "none"],
+  },
+  {
+    type: "list",
+    name: "i18n",
+    message: "Choose internationalization (i18n):",
+    choices: ["react-i18next", "next-intl", "Skip"],
+    availableChoices: (answers) => (answers.framework === "Next.js" ? ["next-intl", "Skip"] : ["react-i18next", "Skip"]),
+    default: "Skip",
+    flag: "i18n",
+    flagValues: ["react-i18next", "next-intl", "none"],
+  },
+  {
+    type: "list",
+    name: "apiMocking",
+    message: "Mock the API in development and tests?",
+    choices: ["MSW", "Skip"],
+    default: "Skip",
+    flag: "mocks",
+    flagValues: ["msw", "none"],
+  },
+  {
+    type: "list",
+    name: "codeQuality",
+    message: "Add code quality tools (ESLint + Prettier + Husky + lint-staged + Commitlint)?",
+    choices: ["Yes", "No"],
+    flag: "code-quality",
+    flagValues: ["yes", "no"],
+  },
+  {
+    type: "list",
+    name: "testing",
+    message: "Choose testing framework (with React Testing Library):",
+    choices: ["Vitest", "Jest", "Skip"],
+    availableChoices: (answers) => (answers.framework === "Next.js" ? ["Jest", "Vitest", "Skip"] : ["Vitest", "Skip"]),
+    default: "Skip",
+    flag: "testing",
+    flagValues: ["vitest", "jest", "none"],
+  },
+  {
+    type: "list",
+    name: "e2e",
+    message: "Add end-to-end tests?",
+    choices: ["Playwright", "Skip"],
+    default: "Skip",
+    flag: "e2e",
+    flagValues: ["playwright", "none"],
+  },
+  {
+    type: "list",
+    name: "storybook",
+    message: "Add Storybook?",
+    choices: ["Yes", "No"],
+    default: "No",
+    flag: "storybook",
+    flagValues: ["yes", "no"],
+  },
+];
+
+// Asked only when the target directory already has files in it
+export const existingDirectoryQuestion = {
+  type: "list",
+  name: "existingDirectory",
+  choices: ["Cancel", "Overwrite", "Merge"],
+  flag: "if-exists",
+  flagValues: ["cancel", "overwrite", "merge"],
+  default: "Cancel",
+};
+
+// Creates a project from fully specified options, without prompting:
+//
+//   import { createProject } from "create-prtw";
+//
+//   const result = await createProject({
+//     directory: "my-app",
+//     answers: { framework: "vite", language: "ts", packageManager: "pnpm", styling: "tailwind", ... },
+//     onProgress: ({ type, message }) => console.log(type, message),
+//   });
+//
+// Options are those of `planProject`, plus `onProgress` and `keepOnFailure`.
+// Each step reports `{ type: "start", step, message }` and then a "succeed",
+// "warn" or "fail" event for the same step. Nothing is printed: the output of
+// create-vite and create-next-app is reported line by line as "output" events,
+// and is part of the error message if they fail. A failed run is rolled back,
+// unless `keepOnFailure` is set, and its error is rethrown with `error.step`
+// set to the step that failed. Resolves to the project directory, the files
+// create-prtw wrote (relative to it), the files a merge left alone, and the
+// packages and scripts in the resulting package.json.
+export async function createProject(options) {
+  const { onProgress = () => {}, keepOnFailure = false } = options;
+  const plan = await planProject(options);
+  const { targetDir } = plan;
+  const written = [];
+  let current;
+  let tracker;
+
+  const start = (step, message) => {
+    current = { step, message };
+    onProgress({ type: "start", step, message });
+  };
+  const finish = (type, message) => onProgress({ type, step: current.step, message });
+  const onOutput = (line) => onProgress({ type: "output", step: current.step, message: line });
+
+  const skipped = new Set(plan.skipped);
+
+  try {
+    if (plan.existingDirectory === "Overwrite") {
+      start("clear", `Clearing ${path.basename(targetDir)}...`);
+      // The old contents are moved aside rather than deleted, so a failed run can put them back
+      tracker = await createChangeTracker(targetDir);
+      await tracker.clear();
+      finish("succeed", `Cleared ${path.basename(targetDir)}!`);
+    }
+
+    start("scaffold", "Creating base project...");
+    // Everything the run adds or changes from here on is tracked so a failure can undo it
+    tracker ??= await createChangeTracker(targetDir);
+    await tracker.willCreate(path.dirname(targetDir));
+    await fs.ensureDir(path.dirname(targetDir));
+    if (plan.existingDirectory === "Merge" || plan.projectName !== path.basename(targetDir)) {
+      // Scaffold elsewhere under a name the starters accept, then move in only
+      // what isn't there yet
+      const stagingDir = await fs.mkdtemp(path.join(os.tmpdir(), "create-prtw-"));
+      try {
+        await runScaffold(plan, stagingDir, onOutput);
+        await mergeDirectory(path.join(stagingDir, plan.projectName), targetDir, tracker);
+      } finally {
+        await fs.remove(stagingDir);
+      }
+    } else {
+      await runScaffold(plan, path.dirname(targetDir), onOutput);
+    }
+    if (plan.existingDirectory !== "Merge") {
+      await setPackageName(targetDir, plan.packageName);
+    }
+    written.push(...(plan.scaffold.files ?? []).map((file) => file.path));
+    finish("succeed", "Base project created!");
+
+    if (plan.skipInstall) {
+      start("install", "Adding dependencies to package.json...");
+      await tracker.willModify("package.json");
+      await addDependenciesToPackageJson(targetDir, plan.dependencies, plan.devDependencies);
+      finish("succeed", "Dependencies added to package.json!");
+    } else {
+      // Install every feature's dependencies at once
+      start("install", "Installing dependencies...");
+      await tracker.willModify("package.json");
+      await trackInstallOutputs(tracker);
+      for (const { command, args } of getInstallCommands(plan)) {
+        await execa(command, args, { stdio: "pipe", cwd: targetDir });
+      }
+      finish("succeed", "Dependencies installed!");
+
+      // Run the setup commands that need the installed packages
+      for (const step of plan.steps) {
+        start("setup", step.start);
+        for (const { command, args } of step.commands) {
+          await execa(command, args, { stdio: "pipe", cwd: targetDir });
+        }
+        finish("succeed", step.succeed);
+      }
+
+      if (plan.pin) {
+        start("pin", "Pinning dependency versions...");
+        const unpinned = await pinDependencyVersions(targetDir);
+        if (unpinned.length > 0) {
+          finish("warn", `Pinned dependency versions, except ${unpinned.join(", ")} (not found in node_modules)`);
+        } else {
+          finish("succeed", "Dependency versions pinned!");
+        }
+      }
+    }
+
+    start("folders", "Creating folder structure...");
+    for (const folder of plan.folders) {
+      await tracker.willCreate(folder);
+      await fs.ensureDir(path.join(targetDir, folder));
+    }
+    finish("succeed", "Folder structure created!");
+
+    start("files", "Generating starter files...");
+    for (const file of plan.files) {
+      if (skipped.has(file.path)) continue;
+      await tracker.willModify(file.path);
+      await fs.outputFile(path.join(targetDir, file.path), file.contents);
+      written.push(file.path);
+    }
+    for (const edit of plan.edits) {
+      const file = path.join(targetDir, edit.path);
+      if (skipped.has(edit.path) || !(await fs.pathExists(file))) continue;
+      await tracker.willModify(edit.path);
+      await fs.writeFile(file, edit.update(await fs.readFile(file, "utf8")));
+      written.push(edit.path);
+    }
+    finish("succeed", "Starter files generated!");
+
+    start("env", "Writing environment files...");
+    for (const file of plan.envFiles) {
+      // An existing .env.local holds someone's own values
+      if (skipped.has(file.path) || (file.keepExisting && (await fs.pathExists(path.join(targetDir, file.path))))) continue;
+      await tracker.willModify(file.path);
+      await fs.outputFile(path.join(targetDir, file.path), file.contents);
+      written.push(file.path);
+    }
+    finish("succeed", "Environment files written!");
+
+    start("scripts", "Adding package.json scripts...");
+    await tracker.willModify("package.json");
+    await updatePackageJsonScripts(targetDir, plan.scripts);
+    finish("succeed", "package.json scripts added!");
+  } catch (error) {
+    const failed = current;
+    onProgress({ type: "fail", step: failed.step, message: `Failed at step: ${failed.message.replace(/\.\.\.$/, "")}`, error });
+
+    if (tracker && !keepOnFailure) {
+      start("rollback", "Removing the files this run created...");
+      try {
+        await tracker.rollback();
+        finish("succeed", "Rolled back the changes made by this run.");
+      } catch (rollbackError) {
+        finish("fail", `Could not roll back: ${rollbackError.message}`);
+      }
+    } else {
+      // A kept partial project replaces the old contents, as a successful run would
+      await tracker?.discard();
+    }
+
+    error.step = failed.step;
+    throw error;
+  }
+  await tracker.discard();
+
+  const packageJson = await fs.readJson(path.join(targetDir, "package.json"));
+  return {
+    projectDir: targetDir,
+    packageManager: plan.packageManager.name,
+    files: [...new Set(written)],
+    skipped: plan.skipped,
+    folders: plan.folders,
+    dependencies: packageJson.dependencies ?? {},
+    devDependencies: packageJson.devDependencies ?? {},
+    scripts: packageJson.scripts ?? {},
+    installed: !plan.skipInstall,
+    plan,
+  };
+}
+
+// Checks the options and plans the project without writing anything. Options:
+//
+//   directory              where to create the project, "." for the current directory
+//   name                   the package name; derived from the directory when left out
+//   answers                an answer for every prompt that applies, keyed by prompt
+//                          name, as a choice label ("Next.js") or flag value ("next")
+//   plugins                plugin paths or package names, as for --plugin
+//   existingDirectory      "overwrite" or "merge", needed when `directory` has files
+//   skipInstall, offline, pin, packageManagerVersion
+//
+// The plan is what createProject carries out, with `targetDir` added, and
+// `skipped` listing the files a merge leaves alone because they already exist.
+export async function planProject({
+  directory,
+  name,
+  answers = {},
+  plugins = [],
+  existingDirectory = null,
+  skipInstall = false,
+  offline = false,
+  pin = false,
+  packageManagerVersion,
+}) {
+  if (!directory) {
+    throw new Error("A target directory is required");
+  }
+  if (pin && skipInstall) {
+    throw new Error("pin reads the installed versions, so it can't be combined with skipInstall");
+  }
+
+  const loadedPlugins = await loadPlugins(plugins, questions);
+  const allQuestions = [...questions, ...loadedPlugins.flatMap((plugin) => plugin.questions)];
+  const resolved = dropInapplicableAnswers(allQuestions, resolveAnswers(allQuestions, answers));
+  const missing = allQuestions.filter((question) => (!question.when || question.when(resolved)) && resolved[question.name] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`Missing answers: ${missing.map((question) => question.name).join(", ")}`);
+  }
+  checkAvailableChoices(allQuestions, resolved);
+
+  const targetDir = path.resolve(directory);
+  const packageName = name ?? toPackageName(path.basename(targetDir));
+  const problems = validatePackageName(packageName);
+  if (problems.length > 0) {
+    throw new Error(`Invalid package name "${packageName}": ${problems.join(", ")}`);
+  }
+
+  const targetState = await getDirectoryState(targetDir);
+  if (targetState === "file") {
+    throw new Error(`"${directory}" already exists and is not a directory.`);
+  }
+  const existing = targetState === "not-empty" && existingDirectory ? resolveFlagValue(existingDirectoryQuestion, existingDirectory) : null;
+  if (targetState === "not-empty" && (!existing || existing === "Cancel")) {
+    throw new Error(`Directory "${directory}" is not empty. Set existingDirectory to "overwrite" or "merge" to use it anyway.`);
+  }
+
+  const invokedWith = detectPackageManager();
+  const { version } = await fs.readJson(path.join(__dirname, "package.json"));
+  // The base project is scaffolded under the unscoped package name, which the starters accept
+  const plan = buildPlan(packageName.split("/").pop(), resolved, {
+    version,
+    packageName,
+    skipInstall,
+    offline,
+    pin,
+    existingDirectory: existing,
+    plugins: loadedPlugins,
+    projectDir: targetDir,
+    packageManagerVersion: packageManagerVersion ?? (invokedWith.name === resolved.packageManager ? invokedWith.version : ""),
+  });
+
+  // Merging keeps every file that is already there, whatever the plan has for it
+  const skipped = new Set();
+  if (existing === "Merge") {
+    for (const { path: file } of [...plan.files, ...plan.edits, ...plan.envFiles]) {
+      if (await fs.pathExists(path.join(targetDir, file))) skipped.add(file);
+    }
+  }
+  return { ...plan, targetDir, skipped: [...skipped] };
+}
+
+// Helper functions
+
+// Answers keyed by prompt name, given as choice labels or flag values
+function resolveAnswers(questions, answers) {
+  const result = {};
+  for (const [name, value] of Object.entries(answers)) {
+    const question = questions.find((question) => question.name === name);
+    if (!question) {
+      throw new Error(`Unknown answer "${name}"`);
+    }
+    result[name] = resolveFlagValue(question, String(value));
+  }
+  return result;
+}
+
+// The problems that keep `name` from being published to npm, following the
+// rules of validate-npm-package-name. Empty when the name is valid.
+export function validatePackageName(name) {
+  const problems = [];
+  if (name.length === 0) {
+    return ["name length must be greater than zero"];
+  }
+  if (name.trim() !== name) {
+    problems.push("name cannot contain leading or trailing spaces");
+  }
+  if (name.startsWith(".")) {
+    problems.push("name cannot start with a period");
+  }
+  if (name.startsWith("_")) {
+    problems.push("name cannot start with an underscore");
+  }
+  if (["node_modules", "favicon.ico"].includes(name.toLowerCase())) {
+    problems.push(`${name} is a reserved name`);
+  }
+  if (builtinModules.includes(name)) {
+    problems.push(`${name} is a Node.js core module name`);
+  }
+  if (name.length > 214) {
+    problems.push("name cannot contain more than 214 characters");
+  }
+  if (name.toLowerCase() !== name) {
+    problems.push("name cannot contain capital letters");
+  }
+  if (/[~'!()*]/.test(name.split("/").pop())) {
+    problems.push(`name cannot contain special characters ("~'!()*")`);
+  }
+  const [, scope, unscoped] = name.match(/^(?:@([^/]+?)\/)?([^/]+?)$/) ?? [];
+  if (!unscoped || [scope, unscoped].some((part) => part !== undefined && encodeURIComponent(part) !== part)) {
+    problems.push("name can only contain URL-friendly characters");
+  }
+  return problems;
+}
+
+// A valid package name for a directory name, e.g. "My App" -> "my-app"
+export function toPackageName(directoryName) {
+  return directoryName
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, "-")
+    .replace(/^[._]+/, "")
+    .replace(/[^a-z\d\-~]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+export function resolveFlagValue(question, value) {
+  // Free-text prompts take the value as given
+  if (!question.choices) return value;
+
+  const normalized = value.trim().toLowerCase();
+  const index = question.flagValues.indexOf(normalized);
+  if (index !== -1) return question.choices[index];
+
+  // Also accept the full choice label, e.g. --framework "Next.js"
+  const choice = question.choices.find((choice) => choice.toLowerCase() === normalized);
+  if (choice) return choice;
+
+  throw new Error(`Invalid value "${value}" for --${question.flag}. Allowed choices: ${question.flagValues.join(", ")}`);
+}
+
+// Presets are answer sets keyed like `answers`. A preset reference is either a
+// path to a JSON file (a preset, a project's .prtw.json, or a prtw.config.json
+// with a single preset or `path#name` to pick one) or a name looked up in
+// ./prtw.config.json and then ~/.prtwrc.
+export async function loadPreset(ref, questions) {
+  let preset;
+
+  const [, file = ref, name] = /^(.+\.json)#(.+)$/.exec(ref) ?? [];
+  if (name || /\.json$|[\\/]/.test(ref) || (await fs.pathExists(ref))) {
+    if (!(await fs.pathExists(file))) {
+      throw new Error(`Preset file not found: ${file}`);
+    }
+    const contents = await fs.readJson(file);
+    if (contents.presets) {
+      const names = Object.keys(contents.presets);
+      if (name) {
+        preset = contents.presets[name];
+        if (!preset) {
+          throw new Error(`Preset "${name}" not found in ${file}. Available presets: ${names.join(", ")}`);
+        }
+      } else if (names.length === 1) {
+        preset = contents.presets[names[0]];
+      } else {
+        throw new Error(`${file} has ${names.length} presets, pick one with ${file}#<name>. Available presets: ${names.join(", ")}`);
+      }
+    } else if (name) {
+      throw new Error(`${file} has no "presets" to pick "${name}" from`);
+    } else {
+      preset = contents.answers ?? contents;
+    }
+  } else {
+    for (const file of [path.resolve("prtw.config.json"), getRcPath()]) {
+      if (!(await fs.pathExists(file))) continue;
+      const contents = await fs.readJson(file);
+      if (contents.presets?.[ref]) {
+        preset = contents.presets[ref];
+        break;
+      }
+    }
+    if (!preset) {
+      throw new Error(`Preset "${ref}" not found in prtw.config.json or ${getRcPath()}`);
+    }
+  }
+
+  const known = questions.map((question) => question.name);
+  const unknown = Object.keys(preset).filter((key) => !known.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Invalid preset "${ref}": unknown options ${unknown.join(", ")}. Known options: ${known.join(", ")}`);
+  }
+  if (Object.keys(preset).length === 0) {
+    throw new Error(`Invalid preset "${ref}": it sets no options`);
+  }
+
+  const answers = {};
+  for (const question of questions) {
+    const value = preset[question.name];
+    if (value === undefined) continue;
+    try {
+      answers[question.name] = resolveFlagValue(question, String(value));
+    } catch (error) {
+      throw new Error(`Invalid preset "${ref}": ${error.message}`);
+    }
+  }
+  return answers;
+}
+
+export function getRcPath() {
+  return path.join(os.homedir(), ".prtwrc");
+}
+
+// Plugins listed under "plugins" in ./prtw.config.json and ~/.prtwrc. Paths
+// are relative to the file that lists them.
+export async function getConfiguredPlugins() {
+  const refs = [];
+  for (const file of [path.resolve("prtw.config.json"), getRcPath()]) {
+    if (!(await fs.pathExists(file))) continue;
+    const { plugins = [] } = await fs.readJson(file);
+    refs.push(...plugins.map((ref) => (isPathReference(ref) ? path.resolve(path.dirname(file), ref) : ref)));
+  }
+  return refs;
+}
+
+// Plugins listed in a project's .prtw.json manifest, so its plugin answers can
+// be read back. Paths are relative to the manifest.
+export async function getManifestPlugins(file) {
+  if (!(await fs.pathExists(file))) return [];
+  const { plugins = [] } = await fs.readJson(file);
+  return plugins.map((ref) => (isPathReference(ref) ? path.resolve(path.dirname(file), ref) : ref));
+}
+
+function isPathReference(ref) {
+  return /^[.\/]|^[a-zA-Z]:[\\/]|\.[cm]?js$/.test(ref);
+}
+
+// A plugin is an ES module, by path or npm package name, whose default export is
+//
+//   {
+//     name: "acme",
+//     questions: [...],              // prompts, in the same shape as the built-in ones
+//     plan(answers, context) {       // context: the template flags (ts, next, vite, ...)
+//       return { dependencies, devDependencies, folders, files, providers, scripts };
+//     },
+//   }
+//
+// Every key of the plan is optional. `files` entries are `{ path, contents }`
+// or `{ path, template, values }`, with the template rendered from the
+// plugin's own directory like the built-in templates. `providers` wrap the
+// app like the built-in ones: `{ imports, open, close }`, where imports may
+// use {{importRoot}} to reach src/.
+export async function loadPlugins(refs, questions) {
+  const plugins = [];
+  const names = new Set(questions.map((question) => question.name));
+  const flags = new Set(questions.map((question) => question.flag));
+  const files = new Set();
+
+  for (const ref of new Set(refs)) {
+    try {
+      const file = isPathReference(ref) ? path.resolve(ref) : resolvePluginPackage(ref);
+      // The same plugin can be listed by a flag, a config file and a manifest
+      if (files.has(file)) continue;
+      files.add(file);
+      const { default: plugin } = await import(pathToFileURL(file).href);
+      if (!plugin?.name) {
+        throw new Error("the default export needs a name");
+      }
+
+      const pluginQuestions = (plugin.questions ?? []).map((question) => {
+        const normalized = {
+          type: question.choices ? "list" : "input",
+          flag: question.name.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`),
+          ...question,
+        };
+        if (normalized.choices && !normalized.flagValues) {
+          normalized.flagValues = normalized.choices.map((choice) => choice.toLowerCase().replace(/[^a-z0-9]+/g, "-"));
+        }
+        if (names.has(normalized.name) || flags.has(normalized.flag)) {
+          throw new Error(`the prompt "${normalized.name}" (--${normalized.flag}) is already defined`);
+        }
+        names.add(normalized.name);
+        flags.add(normalized.flag);
+        return normalized;
+      });
+
+      plugins.push({ ...plugin, ref, file, dir: path.dirname(file), questions: pluginQuestions });
+    } catch (error) {
+      throw new Error(`Invalid plugin "${ref}": ${error.message}`);
+    }
+  }
+
+  return plugins;
+}
+
+// Plugin packages are resolved from the current directory, like its own dependencies
+function resolvePluginPackage(name) {
+  try {
+    return createRequire(path.resolve("package.json")).resolve(name);
+  } catch {
+    throw new Error(`package not found, install it or pass a path`);
+  }
+}
+
+// The merged plans of every plugin, with plugin templates rendered
+function getPluginPlan(plugins, answers) {
+  const context = getTemplateContext(answers);
+  const result = { dependencies: [], devDependencies: [], folders: [], files: [], providers: [], scripts: {} };
+
+  for (const plugin of plugins) {
+    let plan;
+    let files;
+    try {
+      plan = plugin.plan?.(answers, context) ?? {};
+      files = (plan.files ?? []).map((file) => ({
+        path: file.path,
+        contents: file.template ? renderTemplate(file.template, { ...context, ...file.values }, plugin.dir) : file.contents,
+      }));
+    } catch (error) {
+      throw new Error(`Plugin "${plugin.name}" failed: ${error.message}`);
+    }
+
+    result.dependencies.push(...(plan.dependencies ?? []));
+    result.devDependencies.push(...(plan.devDependencies ?? []));
+    result.folders.push(...(plan.folders ?? []));
+    result.files.push(...files);
+    result.providers.push(...(plan.providers ?? []).map((provider) => ({ ...provider, plugin: plugin.name })));
+    Object.assign(result.scripts, plan.scripts);
+  }
+
+  return result;
+}
+
+// Plugin paths are written relative to `projectDir`, where the manifest goes
+export function generateManifest(answers, version, plugins = [], projectDir = process.cwd()) {
+  const toManifestRef = (plugin) => {
+    if (!isPathReference(plugin.ref)) return plugin.ref;
+    const relative = path.relative(projectDir, plugin.file).split(path.sep).join("/");
+    return relative.startsWith(".") ? relative : `./${relative}`;
+  };
+  const manifest = {
+    generator: "create-prtw",
+    version,
+    createdAt: new Date().toISOString(),
+    answers,
+    ...(plugins.length > 0 && { plugins: plugins.map(toManifestRef) }),
+  };
+  return JSON.stringify(manifest, null, 2);
+}
+
+export function applyDefaultAnswers(questions, answers) {
+  const result = { ...answers };
+  for (const question of questions) {
+    if (result[question.name] !== undefined) continue;
+    if (question.when && !question.when(result)) continue;
+    result[question.name] = question.default ?? getChoices(question, result)?.[0];
+  }
+  return result;
+}
+
+export function dropInapplicableAnswers(questions, answers) {
+  const result = { ...answers };
+  for (const question of questions) {
+    if (question.when && !question.when(result)) {
+      delete result[question.name];
+    }
+  }
+  return result;
+}
+
+export function checkAvailableChoices(questions, answers) {
+  for (const question of questions) {
+    const answer = answers[question.name];
+    const choices = getChoices(question, answers);
+    if (answer === undefined || !choices || choices.includes(answer)) continue;
+
+    const allowed = choices.map((choice) => question.flagValues[question.choices.indexOf(choice)]);
+    throw new Error(`"${answer}" is not available for --${question.flag} with these options. Allowed choices: ${allowed.join(", ")}`);
+  }
+}
+
+function getChoices(question, answers) {
+  return question.availableChoices ? question.availableChoices(answers) : question.choices;
+}
+
+// Everything a run will do, computed up front without writing to disk or
+// touching the network (only the bundled templates are read). Paths in
+// `folders` and `files` are relative to the project root. `projectName` is the
+// directory name the base project is scaffolded under and `packageName` the
+// name that ends up in its package.json.
+export function buildPlan(
+  projectName,
+  answers,
+  {
+    version,
+    packageName = projectName,
+    skipInstall = false,
+    offline = false,
+    pin = false,
+    existingDirectory = null,
+    plugins = [],
+    packageManagerVersion = "",
+    projectDir = process.cwd(),
+  }
+) {
+  const packageManager = getPackageManager(answers.packageManager, packageManagerVersion, { offline });
+  const isTypeScript = answers.language === "TypeScript";
+  const isNextJs = answers.framework === "Next.js";
+  const isAppRouter = answers.router === "App Router (Recommended)";
+  const fileExt = isTypeScript ? "tsx" : "jsx";
+  const { dependencies, devDependencies } = getDependencies(answers, isTypeScript, isNextJs);
+  const pluginPlan = getPluginPlan(plugins, answers);
+  const scaffold = offline
+    ? { files: generateBaseFiles(packageName, answers, isTypeScript, isNextJs, isAppRouter), installsDependencies: false }
+    : getScaffoldCommand(projectName, answers, packageManager, isTypeScript, isNextJs, isAppRouter, skipInstall);
+
+  // Packages the bundled template already pins keep their pinned version
+  const basePackageJson = scaffold.files ? JSON.parse(scaffold.files.find((file) => file.path === "package.json").contents) : {};
+  const basePackages = { ...basePackageJson.dependencies, ...basePackageJson.devDependencies };
+  const notInBase = (spec) => !(parsePackageSpec(spec)[0] in basePackages);
+
+  // Plugins go through the same steps as the built-in features, after them
+  return {
+    projectName,
+    packageName,
+    packageManager,
+    isNextJs,
+    skipInstall,
+    pin,
+    existingDirectory,
+    plugins: plugins.map((plugin) => plugin.name),
+    scaffold,
+    dependencies: [...new Set([...dependencies, ...pluginPlan.dependencies])].filter(notInBase),
+    devDependencies: [...new Set([...devDependencies, ...pluginPlan.devDependencies])].filter(notInBase),
+    steps: getSetupSteps(answers, packageManager),
+    folders: [...new Set([...getFolderStructure(answers, isTypeScript, isNextJs, isAppRouter), ...pluginPlan.folders])],
+    files: [
+      ...generateStylingFiles(answers, isTypeScript, isNextJs, isAppRouter),
+      ...generateStarterFiles(answers, isTypeScript, isNextJs, isAppRouter, fileExt, pluginPlan.providers),
+      ...pluginPlan.files,
+      { path: ".prtw.json", contents: generateManifest(answers, version, plugins, projectDir) },
+    ],
+    envFiles: generateEnvFiles(answers, isNextJs),
+    edits: getFileEdits(answers, isTypeScript, isNextJs, isAppRouter),
+    scripts: { ...getPackageJsonScripts(answers, isNextJs), ...pluginPlan.scripts },
+  };
+}
+
+function getScaffoldCommand(projectName, answers, packageManager, isTypeScript, isNextJs, isAppRouter, skipInstall) {
+  if (isNextJs) {
+    const nextArgs = [
+      projectName,
+      `--use-${packageManager.name}`,
+      isTypeScript ? "--typescript" : "--javascript",
+      isAppRouter ? "--app" : "--no-app",
+      // Generated files live under src/ for both routers
+      "--src-dir",
+      // Tailwind is set up by create-prtw itself, in the chosen version
+      "--no-tailwind",
+      "--eslint",
+      "--import-alias",
+      "@/*",
+      skipInstall ? "--skip-install" : "",
+      // Use defaults for anything create-next-app would otherwise prompt for
+      "--yes",
+    ].filter(Boolean);
+
+    return { ...packageManager.dlx("create-next-app@latest", nextArgs), installsDependencies: !skipInstall };
+  }
+
+  // Create Vite React project
+  return {
+    ...packageManager.create("vite", projectName, ["--template", isTypeScript ? "react-ts" : "react"]),
+    installsDependencies: false,
+  };
+}
+
+// The base project --offline writes instead of running create-vite or
+// create-next-app: the files they create, minus the ones create-prtw replaces,
+// with every version pinned so each run gives the same project
+function generateBaseFiles(packageName, answers, isTypeScript, isNextJs, isAppRouter) {
+  const files = [];
+  const context = getTemplateContext(answers, { packageName });
+  const add = (filePath, template) => {
+    files.push({ path: filePath, contents: renderTemplate(`base/${template}`, context) });
+  };
+
+  if (!isNextJs) {
+    add("package.json", "vite/package.json");
+    add("index.html", "vite/index.html");
+    add(".gitignore", "vite/_gitignore");
+    add(".oxlintrc.json", "vite/.oxlintrc.json");
+    add("public/favicon.svg", "vite/public/favicon.svg");
+    add("src/index.css", "vite/src/index.css");
+    if (isTypeScript) {
+      add("tsconfig.json", "vite/tsconfig.json");
+      add("tsconfig.app.json", "vite/tsconfig.app.json");
+      add("tsconfig.node.json", "vite/tsconfig.node.json");
+    }
+    return files;
+  }
+
+  add("package.json", "next/package.json");
+  add(".gitignore", "next/_gitignore");
+  add("eslint.config.mjs", "next/eslint.config.mjs");
+  if (isTypeScript) {
+    add("next.config.ts", "next/next.config.ts");
+    add("tsconfig.json", "next/tsconfig.json");
+    add("next-env.d.ts", "next/next-env.d.ts");
+  } else {
+    add("next.config.mjs", "next/next.config.mjs");
+    add("jsconfig.json", "next/jsconfig.json");
+  }
+  add(getGlobalCssPath(isNextJs, isAppRouter), "next/src/globals.css");
+  if (!isAppRouter) {
+    add(`src/pages/api/hello.${isTypeScript ? "ts" : "js"}`, "next/src/pages/api/hello.ts");
+  }
+  return files;
+}
+
+// Creates the base project as `plan.projectName` inside `cwd`, passing each
+// line the scaffolder prints to `onOutput`
+async function runScaffold(plan, cwd, onOutput) {
+  if (plan.scaffold.files) {
+    for (const file of plan.scaffold.files) {
+      await fs.outputFile(path.join(cwd, plan.projectName, file.path), file.contents);
+    }
+  } else {
+    const subprocess = execa(plan.scaffold.command, plan.scaffold.args, { stdio: "pipe", all: true, cwd });
+    for await (const line of subprocess.iterable({ from: "all" })) {
+      onOutput(line);
+    }
+    await subprocess;
+  }
+}
+
+// Every package the selected features need, collected into a single install
+// plan. Each spec names the major version the generated code is written for,
+// which is also what --skip-install writes into package.json.
+function getDependencies(answers, isTypeScript, isNextJs) {
+  const dependencies = new Set();
+  const devDependencies = new Set();
+  const add = (target, packages) => packages.forEach((name) => target.add(name));
+
+  // Styling
+  if (answers.styling === "Tailwind" || answers.styling === "Shadcn") {
+    if (answers.tailwindVersion === "v4 (Experimental)") {
+      add(devDependencies, ["tailwindcss@^4", ...(isNextJs ? ["@tailwindcss/postcss@^4", "postcss@^8"] : ["@tailwindcss/vite@^4"])]);
+    } else {
+      add(devDependencies, ["tailwindcss@^3", "postcss@^8", "autoprefixer@^10"]);
+    }
+  }
+  if (answers.styling === "Shadcn") {
+    add(dependencies, ["class-variance-authority@^0.7", "clsx@^2", "tailwind-merge@^3", "lucide-react@^1", "tailwindcss-animate@^1"]);
+    add(devDependencies, ["@types/node@^26"]);
+  }
+
+  // Types for the path alias in vite.config.ts
+  if (!isNextJs && isTypeScript) {
+    add(devDependencies, ["@types/node@^26"]);
+  }
+
+  // State management
+  if (answers.stateManagement === "Redux Toolkit") {
+    add(dependencies, ["@reduxjs/toolkit@^2", "react-redux@^9"]);
+    if (isTypeScript) {
+      add(devDependencies, ["@types/react-redux@^7"]);
+    }
+  } else if (answers.stateManagement === "Zustand") {
+    add(dependencies, ["zustand@^5"]);
+  } else if (answers.stateManagement === "TanStack Query") {
+    add(dependencies, ["@tanstack/react-query@^5", "@tanstack/react-query-devtools@^5"]);
+  }
+
+  // Icons
+  if (answers.icons === "Lucide") {
+    add(dependencies, ["lucide-react@^1"]);
+  } else if (answers.icons === "React Icons") {
+    add(dependencies, ["react-icons@^5"]);
+  } else if (answers.icons === "Iconify") {
+    add(dependencies, ["@iconify/react@^6"]);
+  }
+
+  // Forms, validated with the Zod already used for src/lib/env
+  if (answers.forms === "React Hook Form + Zod") {
+    add(dependencies, ["react-hook-form@^7", "@hookform/resolvers@^5"]);
+  }
+
+  // Internationalization
+  if (answers.i18n === "react-i18next") {
+    add(dependencies, ["i18next@^26", "react-i18next@^17"]);
+  } else if (answers.i18n === "next-intl") {
+    add(dependencies, ["next-intl@^4"]);
+  }
+
+  // API mocking, shared by the browser in development and the tests. The
+  // handlers and setup use the MSW 2 API.
+  if (answers.apiMocking === "MSW") {
+    add(devDependencies, ["msw@^2"]);
+  }
+
+  // React Router for React projects
+  if (!isNextJs) {
+    add(dependencies, ["react-router-dom@^7"]);
+  }
+
+  // Axios for API calls
+  add(dependencies, ["axios@^1"]);
+
+  // Zod to validate the environment variables in src/lib/env
+  add(dependencies, ["zod@^4"]);
+
+  // Code quality tools
+  if (answers.codeQuality === "Yes") {
+    if (!isNextJs) {
+      add(devDependencies, ["eslint@^10"]);
+    }
+    add(devDependencies, ["prettier@^3", "eslint-config-prettier@^10", "eslint-plugin-prettier@^5"]);
+    // Husky and lint-staged
+    add(devDependencies, ["husky@^9", "lint-staged@^17", "@commitlint/cli@^21", "@commitlint/config-conventional@^21"]);
+  }
+
+  // Testing
+  const testingLibrary = ["@testing-library/react@^16", "@testing-library/dom@^10", "@testing-library/jest-dom@^7", "@testing-library/user-event@^14"];
+  if (answers.testing === "Vitest") {
+    add(devDependencies, ["vitest@^5", "@vitest/coverage-v8@^5", "jsdom@^30", ...testingLibrary]);
+    if (isNextJs) {
+      add(devDependencies, ["@vitejs/plugin-react@^6", "vite-tsconfig-paths@^6"]);
+    }
+  } else if (answers.testing === "Jest") {
+    add(devDependencies, ["jest@^30", "jest-environment-jsdom@^30", ...testingLibrary]);
+    if (isTypeScript) {
+      add(devDependencies, ["@types/jest@^30"]);
+    }
+    // Jest's jsdom environment hides the fetch globals MSW needs
+    if (answers.apiMocking === "MSW") {
+      add(devDependencies, ["jest-fixed-jsdom@^0.0.11"]);
+    }
+  }
+
+  // End-to-end tests
+  if (answers.e2e === "Playwright") {
+    add(devDependencies, ["@playwright/test@^1"]);
+  }
+
+  // Storybook, built with Vite for Next.js projects too
+  if (answers.storybook === "Yes") {
+    add(devDependencies, ["storybook@^10", isNextJs ? "@storybook/nextjs-vite@^10" : "@storybook/react-vite@^10"]);
+    if (isNextJs) {
+      add(devDependencies, ["vite@^8"]);
+    }
+  }
+
+  return { dependencies: [...dependencies], devDependencies: [...devDependencies] };
+}
+
+// Setup commands that run once the dependencies are installed, each between
+// a spinner's `start` and `succeed` messages.
+function getSetupSteps(answers, packageManager) {
+  const steps = [];
+
+  if (answers.codeQuality === "Yes") {
+    steps.push({
+      start: "Initializing Husky...",
+      succeed: "Husky initialized!",
+      commands: [packageManager.exec("husky", ["install"])],
+    });
+  }
+
+  // Copies the service worker to public/ and, through --save, keeps it updated on later installs
+  if (answers.apiMocking === "MSW") {
+    steps.push({
+      start: "Setting up the MSW service worker...",
+      succeed: "MSW service worker ready!",
+      commands: [packageManager.exec("msw", ["init", "public", "--save"])],
+    });
+  }
+
+  return steps;
+}
+
+// At most one prod and one dev install. Installing packages also installs the
+// ones the base project already lists, so a separate base install is only
+// needed for a new project whose starter doesn't install, with nothing else to add.
+export function getInstallCommands(plan) {
+  const { packageManager, dependencies, devDependencies } = plan;
+  const commands = [];
+
+  if (dependencies.length > 0) {
+    commands.push(packageManager.add(dependencies));
+  }
+  if (devDependencies.length > 0) {
+    commands.push(packageManager.addDev(devDependencies));
+  }
+  if (commands.length === 0 && plan.scaffold && !plan.scaffold.installsDependencies) {
+    commands.push(packageManager.install());
+  }
+
+  return commands;
+}
+
+// The package manager create-prtw was launched with, read from the user agent
+// it sets, e.g. "pnpm/9.12.0 npm/? node/v20.18.0 linux x64"
+function detectPackageManager() {
+  const [name, version = ""] = (process.env.npm_config_user_agent ?? "").split(" ")[0].split("/");
+  if (["npm", "yarn", "pnpm", "bun"].includes(name)) {
+    return { name, version };
+  }
+  return { name: "npm", version: "" };
+}
+
+// Command builders for a package manager. Each returns a `{ command, args }`
+// pair for execa. Yarn 2+ (berry) is told apart from classic by `version`.
+// With `offline`, installs only use the package manager's cache; Yarn 2+ and
+// bun have no flag for it and use their cache whenever it has the package.
+function getPackageManager(name, version = "", { offline = false } = {}) {
+  const isYarnBerry = name === "yarn" && parseInt(version, 10) >= 2;
+  const installFlags = offline && !isYarnBerry && name !== "bun" ? ["--offline"] : [];
+  const execPrefix = { npm: ["npx"], yarn: ["yarn"], pnpm: ["pnpm", "exec"], bun: ["bunx"] }[name];
+  const dlxPrefix = { npm: ["npx"], yarn: isYarnBerry ? ["yarn", "dlx"] : ["npx"], pnpm: ["pnpm", "dlx"], bun: ["bunx"] }[name];
+  const toCommand = ([command, ...args]) => ({ command, args });
+
+  return {
+    name,
+    // Install what package.json already lists
+    install: () => toCommand([name, "install", ...installFlags]),
+    add: (packages) => toCommand([name, name === "npm" ? "install" : "add", ...installFlags, ...packages]),
+    addDev: (packages) => toCommand([name, name === "npm" ? "install" : "add", name === "bun" ? "--dev" : "-D", ...installFlags, ...packages]),
+    // Run a binary from the project's node_modules
+    exec: (bin, args = []) => toCommand([...execPrefix, bin, ...args]),
+    // Download and run a package without installing it
+    dlx: (spec, args = []) => toCommand([...dlxPrefix, spec, ...args]),
+    run: (script, args = []) => toCommand([name, "run", script, ...(name === "npm" && args.length > 0 ? ["--", ...args] : args)]),
+    // `npm create` needs `--` before flags meant for the starter
+    create: (starter, target, args = []) =>
+      toCommand(name === "npm" ? ["npm", "create", `${starter}@latest`, target, "--", ...args] : [name, "create", starter, target, ...args]),
+  };
+}
+
+// "tailwindcss@next" -> ["tailwindcss", "next"], "@types/node" -> ["@types/node", "latest"]
+export function parsePackageSpec(spec) {
+  const versionIndex = spec.lastIndexOf("@");
+  if (versionIndex > 0) {
+    return [spec.slice(0, versionIndex), spec.slice(versionIndex + 1)];
+  }
+  return [spec, "latest"];
+}
+
+export async function addDependenciesToPackageJson(projectDir, dependencies, devDependencies) {
+  const packageJsonPath = path.join(projectDir, "package.json");
+  const packageJson = await fs.readJson(packageJsonPath);
+
+  packageJson.dependencies = {
+    ...packageJson.dependencies,
+    ...Object.fromEntries(dependencies.map(parsePackageSpec)),
+  };
+  packageJson.devDependencies = {
+    ...packageJson.devDependencies,
+    ...Object.fromEntries(devDependencies.map(parsePackageSpec)),
+  };
+
+  await fs.writeJson(packageJsonPath, packageJson, { spaces: 2 });
+}
+
+async function setPackageName(projectDir, name) {
+  const packageJsonPath = path.join(projectDir, "package.json");
+  const packageJson = await fs.readJson(packageJsonPath);
+  if (packageJson.name === name) return;
+
+  packageJson.name = name;
+  await fs.writeJson(packageJsonPath, packageJson, { spaces: 2 });
+}
+
+// Replaces every version range in package.json with the version installed in
+// node_modules. Returns the packages it couldn't find there, e.g. under Yarn
+// Plug'n'Play.
+async function pinDependencyVersions(projectDir) {
+  const packageJsonPath = path.join(projectDir, "package.json");
+  const packageJson = await fs.readJson(packageJsonPath);
+  const unpinned = [];
+
+  for (const field of ["dependencies", "devDependencies"]) {
+    for (const name of Object.keys(packageJson[field] ?? {})) {
+      const installedPath = path.join(projectDir, "node_modules", name, "package.json");
+      if (await fs.pathExists(installedPath)) {
+        packageJson[field][name] = (await fs.readJson(installedPath)).version;
+      } else {
+        unpinned.push(name);
+      }
+    }
+  }
+
+  await fs.writeJson(packageJsonPath, packageJson, { spaces: 2 });
+  return unpinned;
+}
+
+// "missing", "empty", "not-empty", or "file" when something else is in the way
+export async function getDirectoryState(dir) {
+  if (!(await fs.pathExists(dir))) return "missing";
+  if (!(await fs.stat(dir)).isDirectory()) return "file";
+  return (await fs.readdir(dir)).length === 0 ? "empty" : "not-empty";
+}
+
+// Records what a run adds to or changes in `root` so a failed run can be
+// undone. Call `willCreate` or `willModify` before touching a path; relative
+// paths are resolved against `root`. `clear` empties the root into a backup
+// next to it, which `rollback` restores and `discard` deletes.
+export async function createChangeTracker(root) {
+  const rootExisted = await fs.pathExists(root);
+  const originalEntries = new Set(rootExisted ? await fs.readdir(root) : []);
+  const created = [];
+  const backups = new Map();
+  let backupDir = null;
+
+  return {
+    async clear() {
+      backupDir = await fs.mkdtemp(path.join(path.dirname(root), `.${path.basename(root)}-backup-`));
+      for (const entry of await fs.readdir(root)) {
+        await fs.move(path.join(root, entry), path.join(backupDir, entry));
+      }
+    },
+
+    async discard() {
+      if (backupDir) await fs.remove(backupDir);
+      backupDir = null;
+    },
+
+    async willCreate(target) {
+      // Record the outermost directory that doesn't exist yet
+      let missing = null;
+      let current = path.resolve(root, target);
+      while (!(await fs.pathExists(current))) {
+        missing = current;
+        if (current === root) break;
+        current = path.dirname(current);
+      }
+      // Nothing can be created under a file, so there is nothing to undo
+      if (missing && (missing === root || (await fs.stat(current)).isDirectory())) {
+        created.push(missing);
+      }
+    },
+
+    async willModify(target) {
+      const file = path.resolve(root, target);
+      if (backups.has(file)) return;
+      if (await fs.pathExists(file)) {
+        backups.set(file, await fs.readFile(file));
+      } else {
+        await this.willCreate(file);
+      }
+    },
+
+    async rollback() {
+      // Everything in a cleared root came from this run
+      if (backupDir) {
+        await fs.emptyDir(root);
+        for (const entry of await fs.readdir(backupDir)) {
+          await fs.move(path.join(backupDir, entry), path.join(root, entry));
+        }
+        await this.discard();
+        return;
+      }
+      if (rootExisted) {
+        for (const [file, contents] of backups) {
+          await fs.outputFile(file, contents);
+        }
+      }
+      // Also removes the parent directories created for a new root
+      for (const entry of created.reverse()) {
+        await fs.remove(entry);
+      }
+      if (!rootExisted) {
+        await fs.remove(root);
+        return;
+      }
+      for (const entry of await fs.readdir(root)) {
+        if (!originalEntries.has(entry)) await fs.remove(path.join(root, entry));
+      }
+    },
+  };
+}
+
+// Whatever the package manager writes besides package.json
+export async function trackInstallOutputs(tracker) {
+  for (const directory of ["node_modules", ".yarn"]) {
+    await tracker.willCreate(directory);
+  }
+  for (const file of [".pnp.cjs", "package-lock.json", "yarn.lock", "pnpm-lock.yaml", "bun.lock", "bun.lockb"]) {
+    await tracker.willModify(file);
+  }
+}
+
+// Move everything from `source` into `target` that isn't already there
+async function mergeDirectory(source, target, tracker) {
+  for (const entry of await fs.readdir(source)) {
+    const from = path.join(source, entry);
+    const to = path.join(target, entry);
+    if (!(await fs.pathExists(to))) {
+      await tracker.willCreate(to);
+      await fs.move(from, to);
+    } else if ((await fs.stat(from)).isDirectory() && (await fs.stat(to)).isDirectory()) {
+      await mergeDirectory(from, to, tracker);
+    }
+  }
+}
+
+// The variables src/lib/env reads, written to .env.example and .env.local.
+// Vite only exposes VITE_ variables to the app; Next.js exposes NEXT_PUBLIC_
+// ones to the browser and keeps the rest on the server. Optional variables
+// are written commented out.
+function getEnvVariables(answers, isNextJs) {
+  const prefix = isNextJs ? "NEXT_PUBLIC_" : "VITE_";
+  const variables = [
+    { name: `${prefix}API_URL`, value: "http://localhost:3001/api", description: "Base URL of the backend API" },
+    { name: `${prefix}AUTH_REFRESH`, value: "false", description: "Set to true when the backend can issue a new session from POST /auth/refresh" },
+  ];
+
+  if (isNextJs) {
+    variables.push({
+      name: "API_URL",
+      value: "http://api.internal:3001/api",
+      description: "Server only: the backend as the server reaches it, when that differs from the public URL",
+      optional: true,
+    });
+  }
+
+  if (answers.apiMocking === "MSW") {
+    variables.push({
+      name: `${prefix}API_MOCKING`,
+      value: "true",
+      description: "In development, answer API requests from the browser with src/mocks/handlers instead of the backend",
+    });
+  }
+
+  return variables;
+}
+
+function generateEnvFiles(answers, isNextJs) {
+  const variables = getEnvVariables(answers, isNextJs)
+    .map(({ name, value, description, optional }) => `# ${description}\n${optional ? "# " : ""}${name}=${value}\n`)
+    .join("\n");
+
+  return [
+    { path: ".env.example", contents: `# Every variable the app reads. Copy this file to .env.local and adjust it;\n# it is committed, so keep secrets out of it.\n\n${variables}` },
+    { path: ".env.local", contents: `# Local values, ignored by git\n\n${variables}`, keepExisting: true },
+  ];
+}
+
+// Changes to files the base project created. An edit is skipped when its
+// file doesn't exist, e.g. tsconfig.app.json in older Vite templates.
+// Each edit has a `name`, unique for its file, so `add` can tell which edits a
+// feature brings.
+function getFileEdits(answers, isTypeScript, isNextJs, isAppRouter) {
+  const edits = [];
+
+  // create-next-app sets up the @ alias itself through --import-alias
+  if (!isNextJs && isTypeScript) {
+    edits.push({ path: "tsconfig.json", name: "path alias", update: addPathAlias });
+    edits.push({ path: "tsconfig.app.json", name: "path alias", update: addPathAlias });
+  }
+
+  // src/i18n/messages imports the locale JSON files
+  if (answers.i18n === "react-i18next" && isTypeScript) {
+    edits.push({ path: "tsconfig.app.json", name: "JSON modules", update: enableJsonModules });
+  }
+  if (answers.i18n === "next-intl") {
+    edits.push(
+      isAppRouter
+        ? { path: `next.config.${isTypeScript ? "ts" : "mjs"}`, name: "next-intl plugin", update: addNextIntlPlugin }
+        : { path: `next.config.${isTypeScript ? "ts" : "mjs"}`, name: "i18n routing", update: addI18nRouting }
+    );
+  }
+
+  // .env.local holds each developer's own values, while .env.example is meant to
+  // be committed (create-next-app's .gitignore ignores every .env* file)
+  const ignored = [["local environment files", [".env.local", "!.env.example"]]];
+  if (answers.e2e === "Playwright") {
+    ignored.push(["Playwright", ["/test-results/", "/playwright-report/", "/blob-report/", "/playwright/.cache/"]]);
+  }
+  if (answers.storybook === "Yes") {
+    ignored.push(["Storybook", ["/storybook-static/", "*storybook.log"]]);
+  }
+  for (const [heading, entries] of ignored) {
+    edits.push({ path: ".gitignore", name: `ignore ${heading}`, update: (contents) => addIgnoreEntries(contents, heading, entries) });
+  }
+
+  return edits;
+}
+
+// Appends the entries .gitignore doesn't have yet, under a `# heading` comment
+function addIgnoreEntries(contents, heading, entries) {
+  const lines = contents.split(/\r?\n/);
+  const missing = entries.filter((entry) => !lines.includes(entry));
+  if (missing.length === 0) return contents;
+  return `${contents.trimEnd()}\n\n# ${heading}\n${missing.join("\n")}\n`;
+}
+
+function addPathAlias(contents) {
+  const tsconfig = parseJsonc(contents);
+  tsconfig.compilerOptions = {
+    ...tsconfig.compilerOptions,
+    paths: { ...tsconfig.compilerOptions?.paths, "@/*": ["./src/*"] },
+  };
+  return JSON.stringify(tsconfig, null, 2);
+}
+
+function enableJsonModules(contents) {
+  const tsconfig = parseJsonc(contents);
+  tsconfig.compilerOptions = { ...tsconfig.compilerOptions, resolveJsonModule: true };
+  return JSON.stringify(tsconfig, null, 2);
+}
+
+// Wraps the exported config in next-intl's plugin, which finds src/i18n/request
+function addNextIntlPlugin(contents) {
+  if (contents.includes("next-intl/plugin")) return contents;
+  return `import createNextIntlPlugin from "next-intl/plugin";\n${contents}`.replace(
+    /^export default (\w+);/m,
+    "const withNextIntl = createNextIntlPlugin();\n\nexport default withNextIntl($1);"
+  );
+}
+
+// Turns on the Pages Router's built-in locale routing (/es/about), for the
+// locales in src/i18n/config
+function addI18nRouting(contents) {
+  if (/^\s*i18n:/m.test(contents)) return contents;
+  return contents.replace(
+    /^(const nextConfig\b[^=]*=\s*\{)/m,
+    `$1\n  i18n: {\n    locales: ["en", "es"],\n    defaultLocale: "en",\n  },`
+  );
+}
+
+// tsconfig files may contain comments and trailing commas
+function parseJsonc(contents) {
+  const withoutComments = contents.replace(/\\"|"(?:\\"|[^"])*"|(\/\/.*|\/\*[\s\S]*?\*\/)/g, (match, comment) => (comment ? "" : match));
+  return JSON.parse(withoutComments.replace(/,(\s*[}\]])/g, "$1"));
+}
+
+function getFolderStructure(answers, isTypeScript, isNextJs, isAppRouter) {
+  const folders = ["src/components/ui", "src/components/layout", "src/components/common", "src/components/auth", "src/hooks", "src/lib", "src/utils", "src/assets/images", "src/assets/icons"];
+
+  if (isNextJs) {
+    if (isAppRouter) {
+      folders.push("src/app");
+    } else {
+      folders.push("src/pages");
+    }
+  } else {
+    folders.push("src/routes", "src/pages");
+  }
+
+  if (answers.stateManagement !== "Skip") {
+    folders.push("src/store");
+  }
+
+  if (answers.testing !== "Skip") {
+    folders.push("src/tests", "src/__tests__", "src/components/__tests__");
+  }
+
+  if (isTypeScript) {
+    folders.push("src/types");
+  }
+
+  return folders;
+}
+
+// Starter files are rendered from the templates/ tree. Templates are written
+// in TypeScript; a JavaScript project uses a .js/.jsx sibling of the template
+// when there is one, and otherwise the TypeScript template with `ts` false.
+//
+//   {{name}}                         the context value; a value alone on its line is indented to match
+//   {{#if name}} ... {{else}} ... {{/if}}
+//   {{#unless name}} ... {{/unless}}
+//
+// Conditions are `name`, `!name`, `name == "value"` or `name != "value"`, where
+// `name` is a context key: every answer plus the flags from getTemplateContext.
+// A block tag alone on its line takes the whole line with it.
+export function renderTemplate(name, context, templatesDir = path.join(__dirname, "templates")) {
+  const jsVariant = name.replace(/\.(m?)ts(x?)$/, ".$1js$2");
+  const templateName = !context.ts && jsVariant !== name && fs.existsSync(path.join(templatesDir, jsVariant)) ? jsVariant : name;
+  const source = fs.readFileSync(path.join(templatesDir, templateName), "utf8");
+
+  return renderTemplateString(source, context, templateName);
+}
+
+function renderTemplateString(source, context, templateName) {
+  const standaloneTag = /^[ \t]*(\{\{(?:#if|#unless) [^}]+\}\}|\{\{else\}\}|\{\{\/(?:if|unless)\}\})[ \t]*\r?\n/gm;
+  const blockTag = /\{\{(#if|#unless) ([^}]+)\}\}|\{\{else\}\}|\{\{\/(if|unless)\}\}/g;
+  const fail = (message) => {
+    throw new Error(`${message} in template ${templateName}`);
+  };
+
+  // Parse the block tags into a tree of text and conditional sections
+  const root = { then: [] };
+  const stack = [root];
+  const current = () => {
+    const block = stack[stack.length - 1];
+    return block.otherwise ?? block.then;
+  };
+  const text = source.replace(standaloneTag, "$1");
+  let lastIndex = 0;
+  for (const match of text.matchAll(blockTag)) {
+    current().push(text.slice(lastIndex, match.index));
+    lastIndex = match.index + match[0].length;
+
+    const [tag, opening, condition, closing] = match;
+    if (opening) {
+      const block = { type: opening.slice(1), condition: condition.trim(), then: [] };
+      current().push(block);
+      stack.push(block);
+    } else if (stack.length === 1) {
+      fail(`Unexpected ${tag}`);
+    } else if (tag === "{{else}}") {
+      stack[stack.length - 1].otherwise = [];
+    } else if (stack[stack.length - 1].type !== closing) {
+      fail(`Unexpected ${tag}`);
+    } else {
+      stack.pop();
+    }
+  }
+  if (stack.length > 1) {
+    fail(`Unclosed {{#${stack[stack.length - 1].type}}}`);
+  }
+  current().push(text.slice(lastIndex));
+
+  const evaluate = (expression) => {
+    const match = expression.match(/^(!?)(\w+)(?:\s*(==|!=)\s*"([^"]*)")?$/);
+    if (!match) fail(`Invalid condition "${expression}"`);
+
+    const [, negate, key, operator, value] = match;
+    const result = operator ? (context[key] === value) === (operator === "==") : Boolean(context[key]);
+    return negate ? !result : result;
+  };
+  const render = (nodes) =>
+    nodes
+      .map((node) => {
+        if (typeof node === "string") return node;
+        const isTrue = evaluate(node.condition) === (node.type === "if");
+        return render(isTrue ? node.then : (node.otherwise ?? []));
+      })
+      .join("");
+
+  // Fill in values last, so they are never parsed as template syntax
+  return render(root.then).replace(/\{\{\s*(\w+)\s*\}\}/g, (tag, key, offset, output) => {
+    if (!(key in context)) fail(`Unknown value {{${key}}}`);
+
+    const value = String(context[key]);
+    const lineStart = output.lastIndexOf("\n", offset) + 1;
+    const indent = output.slice(lineStart, offset);
+    return /^[ \t]*$/.test(indent) ? value.replaceAll("\n", `\n${indent}`) : value;
+  });
+}
+
+// Everything templates can test or insert: the answers plus derived flags
+export function getTemplateContext(answers, values = {}) {
+  const isNextJs = answers.framework === "Next.js";
+
+  return {
+    ...answers,
+    ts: answers.language === "TypeScript",
+    next: isNextJs,
+    vite: !isNextJs,
+    appRouter: isNextJs && answers.router === "App Router (Recommended)",
+    pagesRouter: isNextJs && answers.router !== "App Router (Recommended)",
+    usesTailwind: answers.styling === "Tailwind" || answers.styling === "Shadcn",
+    tailwindV4: answers.tailwindVersion === "v4 (Experimental)",
+    usesForms: answers.forms === "React Hook Form + Zod",
+    usesI18n: answers.i18n === "react-i18next" || answers.i18n === "next-intl",
+    usesMocks: answers.apiMocking === "MSW",
+    usesPlaywright: answers.e2e === "Playwright",
+    usesStorybook: answers.storybook === "Yes",
+    authModule: getAuthModule(answers),
+    ...values,
+  };
+}
+
+// Where `useAuth` lives, relative to src/: the store with Zustand, a hook over
+// the store with Redux, and otherwise the auth context
+function getAuthModule(answers) {
+  if (answers.stateManagement === "Zustand") return "store/useAuth";
+  if (answers.stateManagement === "Redux Toolkit") return "hooks/useAuth";
+  return "context/AuthContext";
+}
+
+function getGlobalCssPath(isNextJs, isAppRouter) {
+  if (!isNextJs) return "src/index.css";
+  return isAppRouter ? "src/app/globals.css" : "src/styles/globals.css";
+}
+
+function generateStylingFiles(answers, isTypeScript, isNextJs, isAppRouter) {
+  const files = [];
+  const context = getTemplateContext(answers);
+  const configExt = isTypeScript ? "ts" : "js";
+  const cssPath = getGlobalCssPath(isNextJs, isAppRouter);
+  const isShadcn = answers.styling === "Shadcn";
+
+  if (context.usesTailwind) {
+    // v4 is configured in CSS and needs no tailwind.config
+    if (!context.tailwindV4) {
+      files.push({ path: `tailwind.config.${configExt}`, contents: renderTemplate("styling/tailwind.config.ts", context) });
+    }
+
+    // Vite v4 projects load Tailwind through the Vite plugin instead of PostCSS
+    if (isNextJs || !context.tailwindV4) {
+      files.push({ path: "postcss.config.mjs", contents: renderTemplate("styling/postcss.config.mjs", context) });
+    }
+
+    files.push({ path: cssPath, contents: renderTemplate("styling/tailwind.css", context) });
+  }
+
+  if (isShadcn) {
+    files.push({ path: "components.json", contents: generateShadcnConfig(isTypeScript, isNextJs, isAppRouter, cssPath) });
+    files.push({ path: `src/lib/utils.${configExt}`, contents: renderTemplate("styling/src/lib/utils.ts", context) });
+  } else if (answers.styling === "Vanilla CSS") {
+    files.push({ path: cssPath, contents: renderTemplate("styling/vanilla.css", context) });
+  }
+
+  return files;
+}
+
+function generateShadcnConfig(isTypeScript, isNextJs, isAppRouter, cssPath) {
+  return JSON.stringify(
+    {
+      $schema: "https://ui.shadcn.com/schema.json",
+      style: "new-york",
+      rsc: isNextJs && isAppRouter,
+      tsx: isTypeScript,
+      tailwind: {
+        config: `tailwind.config.${isTypeScript ? "ts" : "js"}`,
+        css: cssPath,
+        baseColor: "slate",
+        cssVariables: true,
+        prefix: "",
+      },
+      aliases: {
+        components: "@/components",
+        utils: "@/lib/utils",
+        ui: "@/components/ui",
+        lib: "@/lib",
+        hooks: "@/hooks",
+      },
+      iconLibrary: "lucide",
+    },
+    null,
+    2
+  );
+}
+
+function generateStarterFiles(answers, isTypeScript, isNextJs, isAppRouter, fileExt, pluginProviders = []) {
+  const files = [];
+  const context = getTemplateContext(answers);
+  const scriptExt = isTypeScript ? "ts" : "js";
+  const add = (filePath, template, values = {}) => {
+    files.push({ path: filePath, contents: renderTemplate(template, { ...context, ...values }) });
+  };
+
+  // Generate Vite config with the @ alias for src/
+  if (!isNextJs) {
+    add(`vite.config.${scriptExt}`, "vite/vite.config.ts");
+    if (!isTypeScript) {
+      add("jsconfig.json", "vite/jsconfig.json");
+    }
+  }
+
+  // Generate the shared components
+  add(`src/components/ui/Button.${fileExt}`, "common/src/components/ui/Button.tsx");
+  add(`src/components/layout/Layout.${fileExt}`, "common/src/components/layout/Layout.tsx");
+  if (context.usesForms) {
+    add(`src/components/ui/Form.${fileExt}`, "common/src/components/ui/Form.tsx");
+    add(`src/components/ui/Input.${fileExt}`, "common/src/components/ui/Input.tsx");
+    add(`src/components/ui/FieldError.${fileExt}`, "common/src/components/ui/FieldError.tsx");
+  }
+
+  // Generate Theme Provider and Toggle (if using Tailwind or Shadcn)
+  if (context.usesTailwind) {
+    add(`src/components/common/ThemeProvider.${fileExt}`, "common/src/components/common/ThemeProvider.tsx");
+    add(`src/components/common/ThemeToggle.${fileExt}`, "common/src/components/common/ThemeToggle.tsx");
+  }
+
+  // Generate the environment config and the API client that reads it
+  if (isNextJs) {
+    add(`src/lib/env/client.${scriptExt}`, "next/env/client.ts");
+    add(`src/lib/env/server.${scriptExt}`, "next/env/server.ts");
+  } else {
+    add(`src/lib/env.${scriptExt}`, "vite/src/lib/env.ts");
+  }
+  add(`src/lib/api.${scriptExt}`, "common/src/lib/api.ts");
+
+  // Generate state management files
+  if (answers.stateManagement === "Zustand") {
+    add(`src/store/useAuth.${scriptExt}`, "state/src/store/useAuth.ts");
+  } else if (answers.stateManagement === "Redux Toolkit") {
+    add(`src/store/authSlice.${scriptExt}`, "state/src/store/authSlice.ts");
+    add(`src/store/store.${scriptExt}`, "state/src/store/store.ts");
+    add(`src/hooks/useAuth.${scriptExt}`, "state/src/hooks/useAuth.ts");
+  } else if (answers.stateManagement === "TanStack Query") {
+    add(`src/lib/queryClient.${scriptExt}`, "state/src/lib/queryClient.ts");
+  }
+
+  // Generate the auth module: the session, the state that holds it, and the login form
+  add(`src/lib/session.${scriptExt}`, "common/src/lib/session.ts");
+  add(`src/lib/auth.${scriptExt}`, "common/src/lib/auth.ts");
+  if (context.authModule === "context/AuthContext") {
+    add(`src/context/AuthContext.${fileExt}`, "common/src/context/AuthContext.tsx");
+  } else {
+    add(`src/components/auth/AuthProvider.${fileExt}`, "common/src/components/auth/AuthProvider.tsx");
+  }
+  add(`src/components/auth/LoginForm.${fileExt}`, "common/src/components/auth/LoginForm.tsx");
+
+  // Next route files use create-next-app's extensions (.js in JavaScript
+  // projects), so they replace its files instead of clashing with them
+  const routeExt = isTypeScript ? "tsx" : "js";
+
+  if (!isNextJs) {
+    // Generate React Router setup, with the providers wrapped around the app in main
+    add(`src/routes/AppRoutes.${fileExt}`, "vite/src/routes/AppRoutes.tsx");
+    add(`src/App.${fileExt}`, "vite/src/App.tsx");
+    add(`src/main.${fileExt}`, "vite/src/main.tsx", getProviderValues(answers, ".", "<App />", { router: "BrowserRouter", pluginProviders }));
+
+    // Generate sample pages
+    add(`src/pages/HomePage.${fileExt}`, "common/src/pages/HomePage.tsx", { importRoot: ".." });
+    add(`src/pages/AboutPage.${fileExt}`, "common/src/pages/AboutPage.tsx");
+    add(`src/pages/LoginPage.${fileExt}`, "vite/src/pages/LoginPage.tsx");
+    add(`src/pages/DashboardPage.${fileExt}`, "common/src/pages/DashboardPage.tsx", { importRoot: ".." });
+    if (context.usesForms) {
+      add(`src/pages/ContactPage.${fileExt}`, "common/src/pages/ContactPage.tsx", { importRoot: ".." });
+    }
+    add(`src/components/common/ProtectedRoute.${fileExt}`, "vite/src/components/common/ProtectedRoute.tsx");
+  } else if (isAppRouter) {
+    add(`src/app/layout.${routeExt}`, "next-app/src/app/layout.tsx");
+    add(`src/app/providers.${routeExt}`, "next/providers.tsx", getProviderValues(answers, "@", "{children}", { mocks: true, pluginProviders }));
+    add(`src/app/page.${routeExt}`, "common/src/pages/HomePage.tsx", { importRoot: "@" });
+    add(`src/app/about/page.${routeExt}`, "common/src/pages/AboutPage.tsx");
+    add(`src/app/login/page.${routeExt}`, "next-app/src/app/login/page.tsx");
+    add(`src/app/dashboard/page.${routeExt}`, "common/src/pages/DashboardPage.tsx", { importRoot: "@" });
+    if (context.usesForms) {
+      add(`src/app/contact/page.${routeExt}`, "common/src/pages/ContactPage.tsx", { importRoot: "@" });
+    }
+    add(`src/app/loading.${routeExt}`, "next-app/src/app/loading.tsx");
+    add(`src/app/error.${routeExt}`, "next-app/src/app/error.tsx");
+    add(`src/app/not-found.${routeExt}`, "next-app/src/app/not-found.tsx");
+  } else {
+    add(`src/pages/_app.${routeExt}`, "next-pages/src/pages/_app.tsx");
+    add(`src/components/common/Providers.${fileExt}`, "next/providers.tsx", getProviderValues(answers, "@", "{children}", { mocks: true, pluginProviders }));
+    add(`src/pages/_document.${routeExt}`, "next-pages/src/pages/_document.tsx");
+    add(`src/pages/index.${routeExt}`, "common/src/pages/HomePage.tsx", { importRoot: "@" });
+    add(`src/pages/about.${routeExt}`, "common/src/pages/AboutPage.tsx");
+    add(`src/pages/login.${routeExt}`, "next-pages/src/pages/login.tsx");
+    add(`src/pages/dashboard.${routeExt}`, "common/src/pages/DashboardPage.tsx", { importRoot: "@" });
+    if (context.usesForms) {
+      add(`src/pages/contact.${routeExt}`, "common/src/pages/ContactPage.tsx", { importRoot: "@" });
+    }
+  }
+
+  // Next.js checks the token cookie before protected pages render
+  if (isNextJs) {
+    add(`src/proxy.${scriptExt}`, "next/proxy.ts");
+  }
+
+  // Generate the translations, the i18n setup and the language switcher
+  if (context.usesI18n) {
+    add("src/locales/en.json", "i18n/src/locales/en.json");
+    add("src/locales/es.json", "i18n/src/locales/es.json");
+    add(`src/i18n/config.${scriptExt}`, "i18n/src/i18n/config.ts");
+    add(`src/i18n/messages.${scriptExt}`, "i18n/src/i18n/messages.ts");
+    if (!isNextJs) {
+      add(`src/i18n/index.${scriptExt}`, "i18n/src/i18n/index.ts");
+    } else if (isAppRouter) {
+      add(`src/i18n/request.${scriptExt}`, "i18n/src/i18n/request.ts");
+    }
+    add(`src/components/common/LanguageSwitcher.${fileExt}`, "i18n/src/components/common/LanguageSwitcher.tsx");
+  }
+
+  // Generate the MSW handlers, with a worker for the browser and a server for the tests
+  if (context.usesMocks) {
+    add(`src/mocks/handlers.${scriptExt}`, "mocks/src/mocks/handlers.ts");
+    add(`src/mocks/browser.${scriptExt}`, "mocks/src/mocks/browser.ts");
+    add(`src/mocks/node.${scriptExt}`, "mocks/src/mocks/node.ts");
+    // Vite starts the worker in src/main before rendering
+    if (isNextJs) {
+      add(`src/components/common/MockProvider.${fileExt}`, "mocks/src/components/common/MockProvider.tsx");
+    }
+  }
+
+  // Generate custom hooks
+  add(`src/hooks/index.${scriptExt}`, "common/src/hooks/index.ts");
+
+  // Generate code quality configs and Husky hooks
+  if (answers.codeQuality === "Yes") {
+    add(".eslintrc.json", "code-quality/.eslintrc.json");
+    add(".prettierrc", "code-quality/.prettierrc");
+    add("commitlint.config.js", "code-quality/commitlint.config.js");
+    add(".lintstagedrc.json", "code-quality/.lintstagedrc.json");
+    add(".husky/pre-commit", "code-quality/husky/pre-commit");
+    add(".husky/commit-msg", "code-quality/husky/commit-msg");
+  }
+
+  // Generate test setup and tests for the starter files
+  if (answers.testing !== "Skip") {
+    if (answers.testing === "Jest") {
+      // Dependencies that only ship ES modules, which Jest has to transform
+      const esmPackages = [
+        ...(answers.i18n === "next-intl" ? ["next-intl", "use-intl", "intl-messageformat", "@formatjs"] : []),
+        ...(context.usesMocks ? ["rettime", "until-async", "@open-draft"] : []),
+      ];
+      add("jest.config.mjs", "testing/next/jest.config.mjs", { esmPackages: esmPackages.join("|") });
+    } else if (isNextJs) {
+      // Next projects aren't ES modules, so their Vitest config needs an explicit extension
+      add(`vitest.config.${isTypeScript ? "mts" : "mjs"}`, "testing/next/vitest.config.mts");
+    } else {
+      add(`vitest.config.${scriptExt}`, "testing/vite/vitest.config.ts");
+    }
+
+    const testProviders = getProviderValues(answers, "..", "{children}", { router: isNextJs ? undefined : "MemoryRouter", devtools: false, intl: true, pluginProviders });
+    add(`src/tests/setup.${scriptExt}`, "testing/src/tests/setup.ts");
+    add(`src/tests/utils.${fileExt}`, "testing/src/tests/utils.tsx", testProviders);
+    add(`src/components/__tests__/Button.test.${fileExt}`, "testing/src/components/__tests__/Button.test.tsx");
+    add(`src/components/__tests__/Layout.test.${fileExt}`, "testing/src/components/__tests__/Layout.test.tsx");
+    add(`src/components/__tests__/LoginForm.test.${fileExt}`, "testing/src/components/__tests__/LoginForm.test.tsx");
+    add(`src/__tests__/useLocalStorage.test.${scriptExt}`, "testing/src/__tests__/useLocalStorage.test.ts");
+    if (context.usesMocks) {
+      add(`src/__tests__/api.test.${scriptExt}`, "testing/src/__tests__/api.test.ts");
+    }
+  }
+
+  // Generate the Playwright config and specs. Its web server runs the scripts
+  // from getPackageJsonScripts with the project's package manager: the dev
+  // server locally, and a production build in CI.
+  if (context.usesPlaywright) {
+    const packageManager = getPackageManager(answers.packageManager);
+    const run = (script) => {
+      const { command, args } = packageManager.run(script);
+      return [command, ...args].join(" ");
+    };
+    // Next projects aren't ES modules, so a JavaScript config needs an explicit extension
+    add(`playwright.config.${isTypeScript ? "ts" : isNextJs ? "mjs" : "js"}`, "e2e/playwright.config.ts", {
+      devCommand: run("dev"),
+      productionCommand: `${run("build")} && ${run("start")}`,
+    });
+    add(`e2e/navigation.spec.${scriptExt}`, "e2e/e2e/navigation.spec.ts");
+    add(`e2e/auth.spec.${scriptExt}`, "e2e/e2e/auth.spec.ts");
+    if (context.usesTailwind) {
+      add(`e2e/theme.spec.${scriptExt}`, "e2e/e2e/theme.spec.ts");
+    }
+  }
+
+  // Generate the Storybook config, which loads the global CSS, and stories for
+  // the shared components
+  if (context.usesStorybook) {
+    const storybook = {
+      storybookFramework: isNextJs ? "@storybook/nextjs-vite" : "@storybook/react-vite",
+      globalCss: `../${getGlobalCssPath(isNextJs, isAppRouter)}`,
+    };
+    // Next projects aren't ES modules, so a JavaScript config needs an explicit extension
+    add(`.storybook/main.${isTypeScript ? "ts" : isNextJs ? "mjs" : "js"}`, "storybook/.storybook/main.ts", storybook);
+    add(`.storybook/preview.${fileExt}`, "storybook/.storybook/preview.tsx", storybook);
+    add(`src/components/ui/Button.stories.${fileExt}`, "storybook/src/components/ui/Button.stories.tsx", storybook);
+    add(`src/components/layout/Layout.stories.${fileExt}`, "storybook/src/components/layout/Layout.stories.tsx", storybook);
+    if (context.usesTailwind) {
+      add(`src/components/common/ThemeToggle.stories.${fileExt}`, "storybook/src/components/common/ThemeToggle.stories.tsx", storybook);
+    }
+  }
+
+  // Generate utils
+  add(`src/utils/index.${scriptExt}`, "common/src/utils/index.ts");
+
+  // Generate TypeScript types
+  if (isTypeScript) {
+    add("src/types/index.ts", "common/src/types/index.ts");
+  }
+
+  return files;
+}
+
+// Context providers for the selected features, outermost first. `importRoot`
+// is how the importing file reaches src/, and `router` names the React Router
+// component to use (none for Next.js).
+// `intl` adds next-intl's provider too, for tests: Next.js apps get theirs from
+// the root layout (App Router) or _app (Pages Router), which know the locale.
+// `mocks` adds the provider that starts the MSW worker, for Next.js apps; Vite
+// starts it in src/main, and tests use the MSW server instead.
+function getAppProviders(answers, importRoot, { router, devtools = true, intl = false, mocks = false, pluginProviders = [] } = {}) {
+  const providers = [];
+
+  // Outermost, so nothing renders before the worker can answer its requests
+  if (answers.apiMocking === "MSW" && mocks) {
+    providers.push({
+      imports: [`import { MockProvider } from '${importRoot}/components/common/MockProvider';`],
+      open: "<MockProvider>",
+      close: "</MockProvider>",
+    });
+  }
+
+  // Around everything else, so everything inside can translate
+  if (answers.i18n === "react-i18next") {
+    providers.push({
+      imports: ["import { I18nextProvider } from 'react-i18next';", `import i18n from '${importRoot}/i18n';`],
+      open: "<I18nextProvider i18n={i18n}>",
+      close: "</I18nextProvider>",
+    });
+  } else if (answers.i18n === "next-intl" && intl) {
+    providers.push({
+      imports: [
+        "import { NextIntlClientProvider } from 'next-intl';",
+        `import { defaultLocale, timeZone } from '${importRoot}/i18n/config';`,
+        `import { messages } from '${importRoot}/i18n/messages';`,
+      ],
+      open: "<NextIntlClientProvider locale={defaultLocale} messages={messages[defaultLocale]} timeZone={timeZone}>",
+      close: "</NextIntlClientProvider>",
+    });
+  }
+
+  if (answers.stateManagement === "Redux Toolkit") {
+    providers.push({
+      imports: ["import { Provider } from 'react-redux';", `import { store } from '${importRoot}/store/store';`],
+      open: "<Provider store={store}>",
+      close: "</Provider>",
+    });
+  } else if (answers.stateManagement === "TanStack Query") {
+    providers.push({
+      imports: [
+        "import { QueryClientProvider } from '@tanstack/react-query';",
+        ...(devtools ? ["import { ReactQueryDevtools } from '@tanstack/react-query-devtools';"] : []),
+        `import { queryClient } from '${importRoot}/lib/queryClient';`,
+      ],
+      open: "<QueryClientProvider client={queryClient}>",
+      close: "</QueryClientProvider>",
+      siblings: devtools ? ["<ReactQueryDevtools initialIsOpen={false} />"] : [],
+    });
+  }
+
+  // Inside the Redux provider, since it restores the session into the store
+  const authModule = getAuthModule(answers);
+  providers.push({
+    imports: [
+      `import { AuthProvider } from '${importRoot}/${authModule === "context/AuthContext" ? authModule : "components/auth/AuthProvider"}';`,
+    ],
+    open: "<AuthProvider>",
+    close: "</AuthProvider>",
+  });
+
+  if (answers.styling === "Tailwind" || answers.styling === "Shadcn") {
+    providers.push({
+      imports: [`import { ThemeProvider } from '${importRoot}/components/common/ThemeProvider';`],
+      open: "<ThemeProvider>",
+      close: "</ThemeProvider>",
+    });
+  }
+
+  // Plugin providers sit inside the built-in ones, so they can use the store and theme
+  for (const provider of pluginProviders) {
+    providers.push({
+      ...provider,
+      imports: (provider.imports ?? []).map((line) => renderTemplateString(line, { importRoot }, `plugin ${provider.plugin}`)),
+    });
+  }
+
+  if (router) {
+    providers.push({
+      imports: [`import { ${router} } from 'react-router-dom';`],
+      open: `<${router}>`,
+      close: `</${router}>`,
+    });
+  }
+
+  return providers;
+}
+
+// The providers nested around `child`, as JSX
+function renderProviderTree(providers, child) {
+  if (providers.length === 0) {
+    return child;
+  }
+
+  const [provider, ...inner] = providers;
+  return [
+    provider.open,
+    renderProviderTree(inner, child).replace(/^/gm, "  "),
+    ...(provider.siblings ?? []).map((sibling) => `  ${sibling}`),
+    provider.close,
+  ].join("\n");
+}
+
+// The `providerImports` and `providerTree` values for templates that wrap `child`
+function getProviderValues(answers, importRoot, child, options) {
+  const providers = getAppProviders(answers, importRoot, options);
+
+  return {
+    providerImports: providers.flatMap((provider) => provider.imports).join("\n"),
+    providerTree: providers.length > 0 ? renderProviderTree(providers, child) : "",
+  };
+}
+
+function getPackageJsonScripts(answers, isNextJs) {
+  const additionalScripts = {
+    dev: isNextJs ? "next dev" : "vite",
+    build: isNextJs ? "next build" : "vite build",
+    start: isNextJs ? "next start" : "vite preview",
+  };
+
+  if (answers.codeQuality === "Yes") {
+    additionalScripts["lint"] = "eslint . --ext .js,.jsx,.ts,.tsx";
+    additionalScripts["lint:fix"] = "eslint . --ext .js,.jsx,.ts,.tsx --fix";
+    additionalScripts["format"] = "prettier --write .";
+    additionalScripts["format:check"] = "prettier --check .";
+  }
+
+  if (answers.testing === "Vitest") {
+    additionalScripts["test"] = "vitest run";
+    additionalScripts["test:watch"] = "vitest";
+    additionalScripts["coverage"] = "vitest run --coverage";
+  } else if (answers.testing === "Jest") {
+    additionalScripts["test"] = "jest";
+    additionalScripts["test:watch"] = "jest --watch";
+    additionalScripts["coverage"] = "jest --coverage";
+  }
+
+  if (answers.e2e === "Playwright") {
+    additionalScripts["e2e"] = "playwright test";
+    additionalScripts["e2e:ui"] = "playwright test --ui";
+    // Downloads the browser the specs run in, once per machine
+    additionalScripts["e2e:install"] = "playwright install chromium";
+  }
+
+  if (answers.storybook === "Yes") {
+    additionalScripts["storybook"] = "storybook dev -p 6006";
+    additionalScripts["build-storybook"] = "storybook build";
+  }
+
+  return additionalScripts;
+}
+
+export async function updatePackageJsonScripts(projectDir, additionalScripts) {
+  const packageJsonPath = path.join(projectDir, "package.json");
+  const packageJson = await fs.readJson(packageJsonPath);
+
+  packageJson.scripts = {
+    ...packageJson.scripts,
+    ...additionalScripts,
+  };
+
+  await fs.writeJson(packageJsonPath, packageJson, { spaces: 2 });
+}
@@ -0,0 +1,22 @@
+import { defineConfig, globalIgnores } from "eslint/config";
+import nextVitals from "eslint-config-next/core-web-vitals";
+{{#if ts}}
+import nextTs from "eslint-config-next/typescript";
+{{/if}}
+
+const eslintConfig = defineConfig([
+  ...nextVitals,
+{{#if ts}}
+  ...nextTs,
+{{/if}}
+  // Override default ignores of eslint-config-next.
+  globalIgnores([
+    // Default ignores of eslint-config-next:
+    ".next/**",
+    "out/**",
+    "build/**",
+    "next-env.d.ts",
+  ]),
+]);
+
+export default eslintConfig;
@@ -0,0 +1,44 @@
+{{#if next}}
+'use client';
+
+{{/if}}
+import React, { useEffect } from 'react';
+import { onUnauthorized } from '../../lib/api';
+{{#if stateManagement == "Redux Toolkit"}}
+import { useDispatch } from 'react-redux';
+import { loadSession } from '../../lib/auth';
+import { loggedOut, sessionRestored } from '../../store/authSlice';
+{{else}}
+import { useAuth } from '../../store/useAuth';
+{{/if}}
+
+{{#if next}}
+// Restores the stored session into the store after the first render, so the
+// server and the first client render agree, and signs out when the API client
+// reports that the session was rejected
+{{else}}
+// Restores the stored session into the store when the app mounts, and signs
+// out when the API client reports that the session was rejected
+{{/if}}
+export const AuthProvider{{#if ts}}: React.FC<{ children: React.ReactNode }>{{/if}} = ({ children }) => {
+{{#if stateManagement == "Redux Toolkit"}}
+  const dispatch = useDispatch();
+
+  useEffect(() => {
+    dispatch(sessionRestored(loadSession()));
+  }, [dispatch]);
+
+  useEffect(() => onUnauthorized(() => dispatch(loggedOut())), [dispatch]);
+{{else}}
+  const restore = useAuth((state) => state.restore);
+  const logout = useAuth((state) => state.logout);
+
+  useEffect(() => {
+    restore();
+  }, [restore]);
+
+  useEffect(() => onUnauthorized(logout), [logout]);
+{{/if}}
+
+  return <>{children}</>;
+};
@@ -0,0 +1,76 @@
+{{#if next}}
+'use client';
+
+{{/if}}
+import React, { useState } from 'react';
+import { Button } from '../ui/Button';
+import { useAuth } from '../../{{authModule}}';
+{{#if ts}}
+
+interface LoginFormProps {
+  // Called once the user is signed in
+  onSuccess: () => void;
+}
+{{/if}}
+
+export const LoginForm{{#if ts}}: React.FC<LoginFormProps>{{/if}} = ({ onSuccess }) => {
+  const { login } = useAuth();
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState{{#if ts}}<string | null>{{/if}}(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (event{{#if ts}}: React.FormEvent<HTMLFormElement>{{/if}}) => {
+    event.preventDefault();
+    setError(null);
+    setIsSubmitting(true);
+    try {
+      await login({ email, password });
+      onSuccess();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Sign in failed');
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="space-y-1">
+        <label htmlFor="email" className="block text-sm font-medium">
+          Email
+        </label>
+        <input
+          id="email"
+          type="email"
+          autoComplete="email"
+          required
+          value={email}
+          onChange={(event) => setEmail(event.target.value)}
+          className="w-full rounded-md border border-input bg-background px-3 py-2"
+        />
+      </div>
+      <div className="space-y-1">
+        <label htmlFor="password" className="block text-sm font-medium">
+          Password
+        </label>
+        <input
+          id="password"
+          type="password"
+          autoComplete="current-password"
+          required
+          value={password}
+          onChange={(event) => setPassword(event.target.value)}
+          className="w-full rounded-md border border-input bg-background px-3 py-2"
+        />
+      </div>
+      {error && (
+        <p role="alert" className="text-sm text-red-600">
+          {error}
+        </p>
+      )}
+      <Button type="submit" disabled={isSubmitting} className="w-full">
+        {isSubmitting ? 'Signing in...' : 'Sign in'}
+      </Button>
+    </form>
+  );
+};
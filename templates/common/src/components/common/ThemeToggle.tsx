@@ -0,0 +1,23 @@
+{{#if next}}
+'use client';
+
+{{/if}}
+import React from 'react';
+import { Button } from '../ui/Button';
+import { useTheme } from './ThemeProvider';
+
+export const ThemeToggle{{#if ts}}: React.FC{{/if}} = () => {
+  const { theme, toggleTheme } = useTheme();
+
+  return (
+    <Button
+      variant="ghost"
+      size="sm"
+      onClick={toggleTheme}
+      className="w-9 h-9 p-0"
+    >
+      {theme === 'light' ? '🌙' : '☀️'}
+      <span className="sr-only">Toggle theme</span>
+    </Button>
+  );
+};
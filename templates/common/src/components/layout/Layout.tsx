@@ -0,0 +1,123 @@
+{{#if next}}
+'use client';
+
+{{/if}}
+import React, { useState } from 'react';
+{{#if i18n == "react-i18next"}}
+import { useTranslation } from 'react-i18next';
+{{/if}}
+{{#if i18n == "next-intl"}}
+import { useTranslations } from 'next-intl';
+{{/if}}
+{{#if icons == "Lucide"}}
+import { Menu, X } from 'lucide-react';
+{{/if}}
+import { Button } from '../ui/Button';
+{{#if usesI18n}}
+import { LanguageSwitcher } from '../common/LanguageSwitcher';
+{{/if}}
+{{#if usesTailwind}}
+import { ThemeToggle } from '../common/ThemeToggle';
+{{/if}}
+{{#if ts}}
+
+interface LayoutProps {
+  children: React.ReactNode;
+}
+{{/if}}
+
+export const Layout{{#if ts}}: React.FC<LayoutProps>{{/if}} = ({ children }) => {
+{{#if i18n == "react-i18next"}}
+  const { t } = useTranslation();
+{{/if}}
+{{#if i18n == "next-intl"}}
+  const t = useTranslations();
+{{/if}}
+  const [isMenuOpen, setIsMenuOpen] = useState(false);
+
+  return (
+    <div className="min-h-screen">
+      <header className="bg-background border-b border-border">
+        <div className="container mx-auto px-4">
+          <div className="flex items-center justify-between h-16">
+            <div className="flex items-center">
+              <h1 className="text-xl font-bold text-foreground">
+                {{#if usesI18n}}{t('app.name')}{{else}}MyApp{{/if}}
+              </h1>
+            </div>
+
+            <nav className="hidden md:flex items-center space-x-8">
+              <a href="/" className="text-foreground hover:text-primary">
+                {{#if usesI18n}}{t('nav.home')}{{else}}Home{{/if}}
+              </a>
+              <a href="/about" className="text-foreground hover:text-primary">
+                {{#if usesI18n}}{t('nav.about')}{{else}}About{{/if}}
+              </a>
+              <a href="/contact" className="text-foreground hover:text-primary">
+                {{#if usesI18n}}{t('nav.contact')}{{else}}Contact{{/if}}
+              </a>
+              <a href="/dashboard" className="text-foreground hover:text-primary">
+                {{#if usesI18n}}{t('nav.dashboard')}{{else}}Dashboard{{/if}}
+              </a>
+            </nav>
+
+            <div className="flex items-center gap-2">
+{{#if usesI18n}}
+              <LanguageSwitcher />
+{{/if}}
+{{#if usesTailwind}}
+              <ThemeToggle />
+{{/if}}
+              <Button
+                variant="ghost"
+                size="sm"
+                className="md:hidden"
+                aria-label={{#if usesI18n}}{t('nav.toggleMenu')}{{else}}"Toggle menu"{{/if}}
+                onClick={() => setIsMenuOpen(!isMenuOpen)}
+              >
+{{#if icons == "Lucide"}}
+                {isMenuOpen ? <X className="h-6 w-6" /> : <Menu className="h-6 w-6" />}
+{{else}}
+                {isMenuOpen ? "✕" : "☰"}
+{{/if}}
+              </Button>
+            </div>
+          </div>
+
+          {isMenuOpen && (
+            <div className="md:hidden">
+              <div className="px-2 pt-2 pb-3 space-y-1 sm:px-3">
+                <a href="/" className="block px-3 py-2 text-foreground hover:bg-accent rounded-md">
+                  {{#if usesI18n}}{t('nav.home')}{{else}}Home{{/if}}
+                </a>
+                <a href="/about" className="block px-3 py-2 text-foreground hover:bg-accent rounded-md">
+                  {{#if usesI18n}}{t('nav.about')}{{else}}About{{/if}}
+                </a>
+                <a href="/contact" className="block px-3 py-2 text-foreground hover:bg-accent rounded-md">
+                  {{#if usesI18n}}{t('nav.contact')}{{else}}Contact{{/if}}
+                </a>
+                <a href="/dashboard" className="block px-3 py-2 text-foreground hover:bg-accent rounded-md">
+                  {{#if usesI18n}}{t('nav.dashboard')}{{else}}Dashboard{{/if}}
+                </a>
+              </div>
+            </div>
+          )}
+        </div>
+      </header>
+
+      <main className="flex-1">
+        {children}
+      </main>
+
+      <footer className="bg-muted border-t border-border">
+        <div className="container mx-auto px-4 py-8">
+          <div className="text-center">
+            <p className="text-muted-foreground">
+              {{#if usesI18n}}{t('footer.rights')}{{else}}© 2024 MyApp. All rights reserved.{{/if}}
+            </p>
+          </div>
+        </div>
+      </footer>
+    </div>
+  );
+};
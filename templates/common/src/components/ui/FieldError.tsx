@@ -0,0 +1,33 @@
+{{#if next}}
+'use client';
+
+{{/if}}
+import { get, useFormContext } from 'react-hook-form';
+{{#if ts}}
+
+interface FieldErrorProps {
+  // The field's name as registered, e.g. "email" or "address.city"
+  name: string;
+  id?: string;
+}
+{{/if}}
+
+// The validation message for a field inside a Form, or nothing while it's valid
+export const FieldError = ({ name, id }{{#if ts}}: FieldErrorProps{{/if}}) => {
+  const {
+    formState: { errors },
+  } = useFormContext();
+  const message = get(errors, name)?.message;
+
+  if (!message) return null;
+
+  return (
+{{#if usesTailwind}}
+    <p id={id} role="alert" className="text-sm text-destructive">
+{{else}}
+    <p id={id} role="alert" className="field-error">
+{{/if}}
+      {message}
+    </p>
+  );
+};
@@ -0,0 +1,36 @@
+{{#if next}}
+'use client';
+
+{{/if}}
+import React from 'react';
+import { FormProvider } from 'react-hook-form';
+{{#if ts}}
+import type { FieldValues, SubmitHandler, UseFormReturn } from 'react-hook-form';
+
+interface FormProps<T extends FieldValues> extends Omit<React.FormHTMLAttributes<HTMLFormElement>, 'onSubmit'> {
+  form: UseFormReturn<T>;
+  onSubmit: SubmitHandler<T>;
+  children: React.ReactNode;
+}
+{{/if}}
+
+// Wraps a form from useForm() so the Input and FieldError inside it can find
+// their fields, and only calls onSubmit with values that pass validation
+export function Form{{#if ts}}<T extends FieldValues>{{/if}}({ form, onSubmit, children, className = '', ...props }{{#if ts}}: FormProps<T>{{/if}}) {
+  return (
+    <FormProvider {...form}>
+      <form
+        noValidate
+        onSubmit={form.handleSubmit(onSubmit)}
+{{#if usesTailwind}}
+        className={`space-y-4 ${className}`}
+{{else}}
+        className={`form ${className}`}
+{{/if}}
+        {...props}
+      >
+        {children}
+      </form>
+    </FormProvider>
+  );
+}
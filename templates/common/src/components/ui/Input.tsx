@@ -0,0 +1,55 @@
+{{#if next}}
+'use client';
+
+{{/if}}
+import React from 'react';
+import { get, useFormContext } from 'react-hook-form';
+import { FieldError } from './FieldError';
+{{#if ts}}
+
+interface InputProps extends React.InputHTMLAttributes<HTMLInputElement> {
+  name: string;
+  label: string;
+}
+{{/if}}
+
+// A labelled input registered with the surrounding Form, showing its
+// validation message underneath
+export const Input = ({ name, label, id = name, className = '', ...props }{{#if ts}}: InputProps{{/if}}) => {
+  const {
+    register,
+    formState: { errors },
+  } = useFormContext();
+  const invalid = Boolean(get(errors, name));
+  const errorId = `${id}-error`;
+
+  return (
+{{#if usesTailwind}}
+    <div className="space-y-1">
+      <label htmlFor={id} className="block text-sm font-medium text-foreground">
+        {label}
+      </label>
+      <input
+        id={id}
+        aria-invalid={invalid}
+        aria-describedby={invalid ? errorId : undefined}
+        className={`flex h-10 w-full rounded-md border bg-background px-3 py-2 text-sm ring-offset-background placeholder:text-muted-foreground focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-50 ${invalid ? 'border-destructive' : 'border-input'} ${className}`}
+        {...props}
+        {...register(name)}
+      />
+{{else}}
+    <div className="field">
+      <label htmlFor={id}>{label}</label>
+      <input
+        id={id}
+        aria-invalid={invalid}
+        aria-describedby={invalid ? errorId : undefined}
+        className={className}
+        {...props}
+        {...register(name)}
+      />
+{{/if}}
+      <FieldError name={name} id={errorId} />
+    </div>
+  );
+};
@@ -0,0 +1,69 @@
+{{#if next}}
+'use client';
+
+{{/if}}
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import { onUnauthorized } from '../lib/api';
+import { clearSession, loadSession, requestLogin, saveSession } from '../lib/auth';
+{{#if ts}}
+import type { AuthSession, AuthState, LoginCredentials } from '../types';
+
+interface AuthContextValue extends AuthState {
+  login: (credentials: LoginCredentials) => Promise<void>;
+  logout: () => void;
+}
+{{/if}}
+
+const AuthContext = createContext{{#if ts}}<AuthContextValue | null>{{/if}}(null);
+
+{{#if next}}
+// Holds the signed-in session. The stored one is restored after the first
+// render, so the server and the first client render agree.
+{{else}}
+// Holds the signed-in session, restored from storage when the app mounts
+{{/if}}
+export const AuthProvider{{#if ts}}: React.FC<{ children: React.ReactNode }>{{/if}} = ({ children }) => {
+  const [session, setSession] = useState{{#if ts}}<AuthSession | null>{{/if}}(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    setSession(loadSession());
+    setIsLoading(false);
+  }, []);
+
+  // The API client has already cleared the stored session by then
+  useEffect(() => onUnauthorized(() => setSession(null)), []);
+
+  const login = useCallback(async (credentials{{#if ts}}: LoginCredentials{{/if}}) => {
+    const newSession = await requestLogin(credentials);
+    saveSession(newSession);
+    setSession(newSession);
+  }, []);
+
+  const logout = useCallback(() => {
+    clearSession();
+    setSession(null);
+  }, []);
+
+  const value = useMemo(
+    () => ({
+      user: session?.user ?? null,
+      token: session?.token ?? null,
+      isAuthenticated: session !== null,
+      isLoading,
+      login,
+      logout,
+    }),
+    [session, isLoading, login, logout]
+  );
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
+
+export function useAuth() {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth must be used within an AuthProvider');
+  }
+  return context;
+}
@@ -0,0 +1,109 @@
+import axios from 'axios';
+import { env } from '{{#if vite}}./env{{else}}./env/client{{/if}}';
+import { clearSession, loadSession, saveSession } from './session';
+
+// Every failed request rejects with an ApiError, whatever went wrong
+export class ApiError extends Error {
+  constructor(message, status = 0, code = 'UNKNOWN', details) {
+    super(message);
+    this.name = 'ApiError';
+    // 0 when there was no response (network error, timeout or cancellation)
+    this.status = status;
+    this.code = code;
+    // The response body, if any
+    this.details = details;
+  }
+
+  get isCanceled() {
+    return this.code === 'ERR_CANCELED';
+  }
+}
+
+function toApiError(error) {
+  if (error instanceof ApiError) return error;
+  if (axios.isAxiosError(error)) {
+    const data = error.response?.data;
+    return new ApiError(
+      typeof data?.message === 'string' ? data.message : error.message,
+      error.response?.status ?? 0,
+      typeof data?.code === 'string' ? data.code : error.code ?? 'HTTP_ERROR',
+      error.response?.data
+    );
+  }
+  return new ApiError(error instanceof Error ? error.message : 'Unexpected error');
+}
+
+const api = axios.create({
+  baseURL: env.apiUrl,
+  timeout: 10000,
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
+api.interceptors.request.use((config) => {
+  const token = loadSession()?.token;
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+const unauthorizedListeners = new Set();
+
+// Called when a request is rejected with 401 and the session can't be refreshed
+export function onUnauthorized(listener) {
+  unauthorizedListeners.add(listener);
+  return () => {
+    unauthorizedListeners.delete(listener);
+  };
+}
+
+let refreshing = null;
+
+// Concurrent 401s share one refresh request. The backend is expected to read
+// its refresh token from a cookie and answer like POST /auth/login.
+function refreshToken() {
+  refreshing ??= axios
+    .post(`${env.apiUrl}/auth/refresh`, null, { withCredentials: true })
+    .then(({ data }) => {
+      saveSession(data);
+      return data.token;
+    })
+    .catch(() => null)
+    .finally(() => {
+      refreshing = null;
+    });
+  return refreshing;
+}
+
+api.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const config = error.config;
+    // A 401 from /auth/* means bad credentials, not an expired session
+    if (error.response?.status === 401 && config && !config._retried && !config.url?.startsWith('/auth/')) {
+      config._retried = true;
+      const token = env.authRefresh ? await refreshToken() : null;
+      if (token) {
+        return api(config);
+      }
+      clearSession();
+      unauthorizedListeners.forEach((listener) => listener());
+    }
+    throw toApiError(error);
+  }
+);
+
+// Helpers that resolve with the response body. Pass { signal } from an
+// AbortController to cancel a request; it then rejects with an ApiError whose
+// isCanceled is true.
+export const apiClient = {
+  get: (url, config) => api.get(url, config).then(({ data }) => data),
+  post: (url, body, config) => api.post(url, body, config).then(({ data }) => data),
+  put: (url, body, config) => api.put(url, body, config).then(({ data }) => data),
+  patch: (url, body, config) => api.patch(url, body, config).then(({ data }) => data),
+  delete: (url, config) => api.delete(url, config).then(({ data }) => data),
+};
+
+export default api;
@@ -0,0 +1,118 @@
+import axios from 'axios';
+import type { AxiosError, AxiosRequestConfig, InternalAxiosRequestConfig } from 'axios';
+import type { AuthSession } from '../types';
+import { env } from '{{#if vite}}./env{{else}}./env/client{{/if}}';
+import { clearSession, loadSession, saveSession } from './session';
+
+// Every failed request rejects with an ApiError, whatever went wrong
+export class ApiError extends Error {
+  // 0 when there was no response (network error, timeout or cancellation)
+  status: number;
+  code: string;
+  // The response body, if any
+  details: unknown;
+
+  constructor(message: string, status = 0, code = 'UNKNOWN', details?: unknown) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+
+  get isCanceled() {
+    return this.code === 'ERR_CANCELED';
+  }
+}
+
+function toApiError(error: unknown): ApiError {
+  if (error instanceof ApiError) return error;
+  if (axios.isAxiosError(error)) {
+    const data = error.response?.data as { message?: unknown; code?: unknown } | undefined;
+    return new ApiError(
+      typeof data?.message === 'string' ? data.message : error.message,
+      error.response?.status ?? 0,
+      typeof data?.code === 'string' ? data.code : error.code ?? 'HTTP_ERROR',
+      error.response?.data
+    );
+  }
+  return new ApiError(error instanceof Error ? error.message : 'Unexpected error');
+}
+
+const api = axios.create({
+  baseURL: env.apiUrl,
+  timeout: 10000,
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
+api.interceptors.request.use((config) => {
+  const token = loadSession()?.token;
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+const unauthorizedListeners = new Set<() => void>();
+
+// Called when a request is rejected with 401 and the session can't be refreshed
+export function onUnauthorized(listener: () => void) {
+  unauthorizedListeners.add(listener);
+  return () => {
+    unauthorizedListeners.delete(listener);
+  };
+}
+
+let refreshing: Promise<string | null> | null = null;
+
+// Concurrent 401s share one refresh request. The backend is expected to read
+// its refresh token from a cookie and answer like POST /auth/login.
+function refreshToken() {
+  refreshing ??= axios
+    .post<AuthSession>(`${env.apiUrl}/auth/refresh`, null, { withCredentials: true })
+    .then(({ data }) => {
+      saveSession(data);
+      return data.token;
+    })
+    .catch(() => null)
+    .finally(() => {
+      refreshing = null;
+    });
+  return refreshing;
+}
+
+api.interceptors.response.use(
+  (response) => response,
+  async (error: AxiosError) => {
+    const config = error.config as (InternalAxiosRequestConfig & { _retried?: boolean }) | undefined;
+    // A 401 from /auth/* means bad credentials, not an expired session
+    if (error.response?.status === 401 && config && !config._retried && !config.url?.startsWith('/auth/')) {
+      config._retried = true;
+      const token = env.authRefresh ? await refreshToken() : null;
+      if (token) {
+        return api(config);
+      }
+      clearSession();
+      unauthorizedListeners.forEach((listener) => listener());
+    }
+    throw toApiError(error);
+  }
+);
+
+// Typed helpers that resolve with the response body. Pass { signal } from an
+// AbortController to cancel a request; it then rejects with an ApiError whose
+// isCanceled is true.
+export const apiClient = {
+  get: <T>(url: string, config?: AxiosRequestConfig) => api.get<T>(url, config).then(({ data }) => data),
+  post: <T>(url: string, body?: unknown, config?: AxiosRequestConfig) =>
+    api.post<T>(url, body, config).then(({ data }) => data),
+  put: <T>(url: string, body?: unknown, config?: AxiosRequestConfig) =>
+    api.put<T>(url, body, config).then(({ data }) => data),
+  patch: <T>(url: string, body?: unknown, config?: AxiosRequestConfig) =>
+    api.patch<T>(url, body, config).then(({ data }) => data),
+  delete: <T>(url: string, config?: AxiosRequestConfig) => api.delete<T>(url, config).then(({ data }) => data),
+};
+
+export default api;
@@ -0,0 +1,16 @@
+import { apiClient } from './api';
+{{#if ts}}
+import type { AuthSession, LoginCredentials } from '../types';
+{{/if}}
+
+export { clearSession, loadSession, saveSession } from './session';
+
+// Exchanges the credentials for a session with POST /auth/login
+export function requestLogin(credentials{{#if ts}}: LoginCredentials{{/if}}){{#if ts}}: Promise<AuthSession>{{/if}} {
+  return apiClient.post{{#if ts}}<AuthSession>{{/if}}('/auth/login', credentials);
+}
+
+// Where to go after login: the requested page when it's a path on this site
+export function getSafeRedirect(path{{#if ts}}: unknown{{/if}}, fallback = '/dashboard'){{#if ts}}: string{{/if}} {
+  return typeof path === 'string' && path.startsWith('/') && !path.startsWith('//') ? path : fallback;
+}
@@ -0,0 +1,35 @@
+{{#if ts}}
+import type { AuthSession } from '../types';
+
+{{/if}}
+const STORAGE_KEY = 'auth-session';
+{{#if next}}
+
+// The token is mirrored into this cookie so src/proxy can check it before a page renders
+export const TOKEN_COOKIE = 'auth-token';
+{{/if}}
+
+// The signed-in session is kept in localStorage so it survives reloads
+export function loadSession(){{#if ts}}: AuthSession | null{{/if}} {
+  if (typeof window === 'undefined') return null;
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored) : null;
+  } catch {
+    return null;
+  }
+}
+
+export function saveSession(session{{#if ts}}: AuthSession{{/if}}) {
+  window.localStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+{{#if next}}
+  document.cookie = `${TOKEN_COOKIE}=${encodeURIComponent(session.token)}; path=/; SameSite=Lax`;
+{{/if}}
+}
+
+export function clearSession() {
+  window.localStorage.removeItem(STORAGE_KEY);
+{{#if next}}
+  document.cookie = `${TOKEN_COOKIE}=; path=/; max-age=0; SameSite=Lax`;
+{{/if}}
+}
@@ -0,0 +1,24 @@
+import React from 'react';
+{{#if i18n == "react-i18next"}}
+import { useTranslation } from 'react-i18next';
+{{/if}}
+{{#if i18n == "next-intl"}}
+import { useTranslations } from 'next-intl';
+{{/if}}
+
+const AboutPage{{#if ts}}: React.FC{{/if}} = () => {
+{{#if i18n == "react-i18next"}}
+  const { t } = useTranslation();
+{{/if}}
+{{#if i18n == "next-intl"}}
+  const t = useTranslations();
+{{/if}}
+  return (
+    <div className="container mx-auto px-4 py-16">
+      <h1 className="text-4xl font-bold mb-8">{{#if usesI18n}}{t('about.title')}{{else}}About Us{{/if}}</h1>
+      <p className="text-lg">{{#if usesI18n}}{t('about.body')}{{else}}This is the about page.{{/if}}</p>
+    </div>
+  );
+};
+
+export default AboutPage;
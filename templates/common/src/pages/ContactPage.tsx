@@ -0,0 +1,92 @@
+{{#if next}}
+'use client';
+
+{{/if}}
+import React, { useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { z } from 'zod';
+import { Button } from '{{importRoot}}/components/ui/Button';
+import { FieldError } from '{{importRoot}}/components/ui/FieldError';
+import { Form } from '{{importRoot}}/components/ui/Form';
+import { Input } from '{{importRoot}}/components/ui/Input';
+import { apiClient } from '{{importRoot}}/lib/api';
+
+// The form's fields and their rules; useForm only submits values that pass
+const contactSchema = z.object({
+  name: z.string().trim().min(1, 'Please enter your name'),
+  email: z.email('Please enter a valid email address'),
+  message: z.string().trim().min(10, 'Please write at least 10 characters'),
+});
+{{#if ts}}
+
+type ContactValues = z.infer<typeof contactSchema>;
+{{/if}}
+
+const ContactPage{{#if ts}}: React.FC{{/if}} = () => {
+  const [sent, setSent] = useState(false);
+  const form = useForm{{#if ts}}<ContactValues>{{/if}}({
+    resolver: zodResolver(contactSchema),
+    defaultValues: { name: '', email: '', message: '' },
+  });
+  const messageInvalid = Boolean(form.formState.errors.message);
+
+  const onSubmit = async (values{{#if ts}}: ContactValues{{/if}}) => {
+    try {
+      await apiClient.post('/contact', values);
+      form.reset();
+      setSent(true);
+    } catch (error) {
+      // Shown by the FieldError for "root" below
+      form.setError('root', { message: error instanceof Error ? error.message : 'Could not send your message' });
+    }
+  };
+
+  return (
+{{#if usesTailwind}}
+    <div className="container mx-auto px-4 py-16 max-w-lg">
+      <h1 className="text-4xl font-bold mb-8">Contact Us</h1>
+{{else}}
+    <div className="container">
+      <h1>Contact Us</h1>
+{{/if}}
+      {sent && <p role="status">Thanks! We&apos;ll get back to you soon.</p>}
+      <Form form={form} onSubmit={onSubmit}>
+        <Input name="name" label="Name" autoComplete="name" />
+        <Input name="email" label="Email" type="email" autoComplete="email" />
+{{#if usesTailwind}}
+        <div className="space-y-1">
+          <label htmlFor="message" className="block text-sm font-medium text-foreground">
+            Message
+          </label>
+          <textarea
+            id="message"
+            rows={5}
+            aria-invalid={messageInvalid}
+            aria-describedby={messageInvalid ? 'message-error' : undefined}
+            className={`w-full rounded-md border bg-background px-3 py-2 text-sm ring-offset-background focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 ${messageInvalid ? 'border-destructive' : 'border-input'}`}
+            {...form.register('message')}
+          />
+{{else}}
+        <div className="field">
+          <label htmlFor="message">Message</label>
+          <textarea
+            id="message"
+            rows={5}
+            aria-invalid={messageInvalid}
+            aria-describedby={messageInvalid ? 'message-error' : undefined}
+            {...form.register('message')}
+          />
+{{/if}}
+          <FieldError name="message" id="message-error" />
+        </div>
+        <FieldError name="root" />
+        <Button type="submit" disabled={form.formState.isSubmitting}>
+          {form.formState.isSubmitting ? 'Sending...' : 'Send message'}
+        </Button>
+      </Form>
+    </div>
+  );
+};
+
+export default ContactPage;
@@ -0,0 +1,48 @@
+{{#if next}}
+'use client';
+
+{{/if}}
+import React{{#if next}}, { useEffect }{{/if}} from 'react';
+{{#if appRouter}}
+import { useRouter } from 'next/navigation';
+{{/if}}
+{{#if pagesRouter}}
+import { useRouter } from 'next/router';
+{{/if}}
+import { Button } from '{{importRoot}}/components/ui/Button';
+import { useAuth } from '{{importRoot}}/{{authModule}}';
+
+{{#if next}}
+// src/proxy keeps signed-out visitors away; this also covers signing out here
+// and a token cookie that outlived its stored session
+{{else}}
+// Reached through ProtectedRoute, which also redirects after signing out
+{{/if}}
+const DashboardPage{{#if ts}}: React.FC{{/if}} = () => {
+  const { user, {{#if next}}isAuthenticated, isLoading, {{/if}}logout } = useAuth();
+{{#if next}}
+  const router = useRouter();
+
+  useEffect(() => {
+    if (!isLoading && !isAuthenticated) {
+      router.replace('/login?from=/dashboard');
+    }
+  }, [isLoading, isAuthenticated, router]);
+
+  if (!isAuthenticated) {
+    return null;
+  }
+{{/if}}
+
+  return (
+    <div className="container mx-auto px-4 py-16">
+      <h1 className="text-4xl font-bold mb-4">Dashboard</h1>
+      <p className="text-lg mb-8">Signed in as {user?.name ?? user?.email}.</p>
+      <Button variant="outline" onClick={logout}>
+        Sign out
+      </Button>
+    </div>
+  );
+};
+
+export default DashboardPage;
@@ -0,0 +1,28 @@
+import React from 'react';
+{{#if i18n == "react-i18next"}}
+import { useTranslation } from 'react-i18next';
+{{/if}}
+{{#if i18n == "next-intl"}}
+import { useTranslations } from 'next-intl';
+{{/if}}
+import { Button } from '{{importRoot}}/components/ui/Button';
+
+const HomePage{{#if ts}}: React.FC{{/if}} = () => {
+{{#if i18n == "react-i18next"}}
+  const { t } = useTranslation();
+{{/if}}
+{{#if i18n == "next-intl"}}
+  const t = useTranslations();
+{{/if}}
+  return (
+    <div className="container mx-auto px-4 py-16">
+      <div className="text-center">
+        <h1 className="text-4xl font-bold mb-6">{{#if usesI18n}}{t('home.title')}{{else}}Welcome to MyApp{{/if}}</h1>
+        <p className="text-xl mb-8">{{#if usesI18n}}{t('home.subtitle')}{{else}}A modern React application{{/if}}</p>
+        <Button variant="primary">{{#if usesI18n}}{t('home.cta')}{{else}}Get Started{{/if}}</Button>
+      </div>
+    </div>
+  );
+};
+
+export default HomePage;
@@ -0,0 +1,23 @@
+export interface User {
+  id: string;
+  name: string;
+  email: string;
+}
+
+export interface LoginCredentials {
+  email: string;
+  password: string;
+}
+
+export interface AuthSession {
+  user: User;
+  token: string;
+}
+
+export interface AuthState {
+  user: User | null;
+  token: string | null;
+  isAuthenticated: boolean;
+  // True until the stored session has been read, after the first render
+  isLoading: boolean;
+}
@@ -0,0 +1,11 @@
+export const formatDate = (date: Date) => {
+  return new Intl.DateTimeFormat('en-US').format(date);
+};
+
+export const debounce = (func: Function, wait: number) => {
+  let timeout: NodeJS.Timeout;
+  return (...args: any[]) => {
+    clearTimeout(timeout);
+    timeout = setTimeout(() => func(...args), wait);
+  };
+};
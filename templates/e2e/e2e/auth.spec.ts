@@ -0,0 +1,31 @@
+import { expect, test } from '@playwright/test';
+
+// Stored the way src/lib/session saves a session after signing in
+const session = { user: { id: '1', name: 'Ada Lovelace', email: 'ada@example.com' }, token: 'e2e-token' };
+
+test('redirects signed-out visitors to the login page', async ({ page }) => {
+  await page.goto('/dashboard');
+
+{{#if next}}
+  // src/proxy adds where to come back to after signing in
+  await expect(page).toHaveURL('/login?from=%2Fdashboard');
+{{else}}
+  await expect(page).toHaveURL('/login');
+{{/if}}
+  await expect(page.getByRole('button', { name: 'Sign in' })).toBeVisible();
+});
+
+test('lets signed-in users through', async ({ page, context{{#if next}}, baseURL{{/if}} }) => {
+  await context.addInitScript((stored) => {
+    window.localStorage.setItem('auth-session', JSON.stringify(stored));
+  }, session);
+{{#if next}}
+  // The cookie src/proxy checks before the page renders
+  await context.addCookies([{ name: 'auth-token', value: session.token, url: baseURL }]);
+{{/if}}
+  await page.goto('/dashboard');
+
+  await expect(page).toHaveURL('/dashboard');
+  await expect(page.getByRole('heading', { name: 'Dashboard' })).toBeVisible();
+  await expect(page.getByText('Signed in as Ada Lovelace.')).toBeVisible();
+});
@@ -0,0 +1,15 @@
+import { expect, test } from '@playwright/test';
+
+test('shows the home page', async ({ page }) => {
+  await page.goto('/');
+
+  await expect(page.getByRole('heading', { name: 'Welcome to MyApp' })).toBeVisible();
+});
+
+test('navigates to the about page', async ({ page }) => {
+  await page.goto('/');
+  await page.getByRole('link', { name: 'About', exact: true }).click();
+
+  await expect(page).toHaveURL('/about');
+  await expect(page.getByRole('heading', { name: 'About Us' })).toBeVisible();
+});
@@ -0,0 +1,14 @@
+import { expect, test } from '@playwright/test';
+
+test('toggles dark mode and remembers it', async ({ page }) => {
+  await page.goto('/');
+  const html = page.locator('html');
+  await expect(html).not.toHaveClass(/\bdark\b/);
+
+  await page.getByRole('button', { name: 'Toggle theme' }).click();
+  await expect(html).toHaveClass(/\bdark\b/);
+
+  // The choice is stored, so it survives a reload
+  await page.reload();
+  await expect(html).toHaveClass(/\bdark\b/);
+});
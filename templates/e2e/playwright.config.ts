@@ -0,0 +1,26 @@
+import { defineConfig, devices } from '@playwright/test';
+
+// In CI the specs run against a production build; locally they start the dev
+// server, or reuse the one already running
+const isCI = Boolean(process.env.CI);
+const port = {{#if vite}}isCI ? 4173 : 5173{{else}}3000{{/if}};
+const baseURL = `http://localhost:${port}`;
+
+export default defineConfig({
+  testDir: './e2e',
+  fullyParallel: true,
+  forbidOnly: isCI,
+  retries: isCI ? 2 : 0,
+  reporter: isCI ? [['github'], ['html', { open: 'never' }]] : 'list',
+  use: {
+    baseURL,
+    trace: 'on-first-retry',
+  },
+  projects: [{ name: 'chromium', use: { ...devices['Desktop Chrome'] } }],
+  webServer: {
+    command: isCI ? '{{productionCommand}}' : '{{devCommand}}',
+    url: baseURL,
+    reuseExistingServer: !isCI,
+    timeout: 120_000,
+  },
+});
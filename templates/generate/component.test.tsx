@@ -0,0 +1,17 @@
+{{#if testing == "Vitest"}}
+import { describe, it, expect } from 'vitest';
+{{/if}}
+import { render, screen } from '../../tests/utils';
+import { {{name}} } from '{{componentImport}}';
+
+describe('{{name}}', () => {
+  it('renders its children', () => {
+    render(<{{name}}>Hello</{{name}}>);
+    expect(screen.getByText('Hello')).toBeInTheDocument();
+  });
+
+  it('adds the given className', () => {
+    render(<{{name}} className="custom">Hello</{{name}}>);
+    expect(screen.getByText('Hello')).toHaveClass('custom');
+  });
+});
@@ -0,0 +1,20 @@
+import React from 'react';
+{{#if ts}}
+
+interface {{name}}Props {
+  children?: React.ReactNode;
+  className?: string;
+}
+{{/if}}
+
+export const {{name}} = ({ children, className = '' }{{#if ts}}: {{name}}Props{{/if}}) => {
+{{#if usesTailwind}}
+  return (
+    <div className={`rounded-lg border border-border bg-background p-4 text-foreground ${className}`}>
+      {children}
+    </div>
+  );
+{{else}}
+  return <div className={className}>{children}</div>;
+{{/if}}
+};
@@ -0,0 +1,26 @@
+{{#if testing == "Vitest"}}
+import { describe, it, expect } from 'vitest';
+{{/if}}
+import { act, renderHook } from '@testing-library/react';
+import { use{{name}} } from '../hooks/use{{name}}';
+
+describe('use{{name}}', () => {
+  it('starts with the initial value', () => {
+    const { result } = renderHook(() => use{{name}}('initial'));
+    expect(result.current.value).toBe('initial');
+  });
+
+  it('updates and resets the value', () => {
+    const { result } = renderHook(() => use{{name}}('initial'));
+
+    act(() => {
+      result.current.setValue('changed');
+    });
+    expect(result.current.value).toBe('changed');
+
+    act(() => {
+      result.current.reset();
+    });
+    expect(result.current.value).toBe('initial');
+  });
+});
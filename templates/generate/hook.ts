@@ -0,0 +1,9 @@
+import { useCallback, useState } from 'react';
+
+export const use{{name}} = {{#if ts}}<T>{{/if}}(initialValue{{#if ts}}: T{{/if}}) => {
+  const [value, setValue] = useState(initialValue);
+
+  const reset = useCallback(() => setValue(initialValue), [initialValue]);
+
+  return { value, setValue, reset };
+};
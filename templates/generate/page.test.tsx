@@ -0,0 +1,12 @@
+{{#if testing == "Vitest"}}
+import { describe, it, expect } from 'vitest';
+{{/if}}
+import { render, screen } from '../tests/utils';
+import {{name}}Page from '{{pageImport}}';
+
+describe('{{name}}Page', () => {
+  it('renders its heading', () => {
+    render(<{{name}}Page />);
+    expect(screen.getByRole('heading', { name: '{{title}}' })).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,12 @@
+import React from 'react';
+
+const {{name}}Page{{#if ts}}: React.FC{{/if}} = () => {
+  return (
+    <div className="container mx-auto px-4 py-16">
+      <h1 className="text-4xl font-bold mb-8">{{title}}</h1>
+      <p className="text-lg">This is the {{title}} page.</p>
+    </div>
+  );
+};
+
+export default {{name}}Page;
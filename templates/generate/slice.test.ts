@@ -0,0 +1,16 @@
+{{#if testing == "Vitest"}}
+import { describe, it, expect } from 'vitest';
+{{/if}}
+import {{key}}Reducer, { set{{name}}, reset{{name}} } from '../store/{{key}}Slice';
+
+describe('{{key}}Slice', () => {
+  it('starts at 0', () => {
+    expect({{key}}Reducer(undefined, { type: 'unknown' })).toEqual({ value: 0 });
+  });
+
+  it('sets and resets the value', () => {
+    const state = {{key}}Reducer(undefined, set{{name}}(5));
+    expect(state).toEqual({ value: 5 });
+    expect({{key}}Reducer(state, reset{{name}}())).toEqual({ value: 0 });
+  });
+});
@@ -0,0 +1,25 @@
+import { createSlice{{#if ts}}, type PayloadAction{{/if}} } from '@reduxjs/toolkit';
+{{#if ts}}
+
+export interface {{name}}State {
+  value: number;
+}
+{{/if}}
+
+const initialState{{#if ts}}: {{name}}State{{/if}} = {
+  value: 0,
+};
+
+const {{key}}Slice = createSlice({
+  name: '{{key}}',
+  initialState,
+  reducers: {
+    set{{name}}: (state, action{{#if ts}}: PayloadAction<number>{{/if}}) => {
+      state.value = action.payload;
+    },
+    reset{{name}}: () => initialState,
+  },
+});
+
+export const { set{{name}}, reset{{name}} } = {{key}}Slice.actions;
+export default {{key}}Slice.reducer;
@@ -0,0 +1,22 @@
+{{#if testing == "Vitest"}}
+import { describe, it, expect, beforeEach } from 'vitest';
+{{/if}}
+import { use{{name}}Store } from '../store/use{{name}}Store';
+
+describe('use{{name}}Store', () => {
+  beforeEach(() => {
+    use{{name}}Store.getState().reset();
+  });
+
+  it('starts at 0', () => {
+    expect(use{{name}}Store.getState().value).toBe(0);
+  });
+
+  it('sets and resets the value', () => {
+    use{{name}}Store.getState().set{{name}}(5);
+    expect(use{{name}}Store.getState().value).toBe(5);
+
+    use{{name}}Store.getState().reset();
+    expect(use{{name}}Store.getState().value).toBe(0);
+  });
+});
@@ -0,0 +1,15 @@
+import { create } from 'zustand';
+{{#if ts}}
+
+interface {{name}}State {
+  value: number;
+  set{{name}}: (value: number) => void;
+  reset: () => void;
+}
+{{/if}}
+
+export const use{{name}}Store = create{{#if ts}}<{{name}}State>(){{/if}}((set) => ({
+  value: 0,
+  set{{name}}: (value) => set({ value }),
+  reset: () => set({ value: 0 }),
+}));
@@ -0,0 +1,71 @@
+{{#if next}}
+'use client';
+
+{{/if}}
+import React from 'react';
+{{#if vite}}
+import { useTranslation } from 'react-i18next';
+{{else}}
+import { useLocale, useTranslations } from 'next-intl';
+{{/if}}
+{{#if appRouter}}
+import { useRouter } from 'next/navigation';
+import { LOCALE_COOKIE, localeNames, locales } from '../../i18n/config';
+{{/if}}
+{{#if pagesRouter}}
+import { useRouter } from 'next/router';
+import { localeNames, locales } from '../../i18n/config';
+{{/if}}
+{{#if vite}}
+import { localeNames, locales } from '../../i18n/config';
+{{/if}}
+
+export const LanguageSwitcher{{#if ts}}: React.FC{{/if}} = () => {
+{{#if vite}}
+  const { t, i18n } = useTranslation();
+  const locale = i18n.resolvedLanguage;
+
+  // The choice is saved by src/i18n for the next visit
+  const changeLocale = (next{{#if ts}}: string{{/if}}) => {
+    i18n.changeLanguage(next);
+  };
+{{/if}}
+{{#if appRouter}}
+  const t = useTranslations();
+  const locale = useLocale();
+  const router = useRouter();
+
+  // Saved for src/i18n/request, then the server renders the page again in the new language
+  const changeLocale = (next{{#if ts}}: string{{/if}}) => {
+    document.cookie = `${LOCALE_COOKIE}=${next}; path=/; max-age=31536000; SameSite=Lax`;
+    router.refresh();
+  };
+{{/if}}
+{{#if pagesRouter}}
+  const t = useTranslations();
+  const locale = useLocale();
+  const router = useRouter();
+
+  // Moves to the same page under the new locale's prefix, e.g. /es/about
+  const changeLocale = (next{{#if ts}}: string{{/if}}) => {
+    router.push({ pathname: router.pathname, query: router.query }, router.asPath, { locale: next });
+  };
+{{/if}}
+
+  return (
+    <select
+      aria-label={t('language.label')}
+      value={locale}
+      onChange={(event) => changeLocale(event.target.value)}
+{{#if usesTailwind}}
+      className="h-9 rounded-md border border-input bg-background px-2 text-sm text-foreground"
+{{/if}}
+    >
+      {locales.map((code) => (
+        <option key={code} value={code}>
+          {localeNames[code]}
+        </option>
+      ))}
+    </select>
+  );
+};
@@ -0,0 +1,29 @@
+// The languages the app is translated into, one src/locales/<locale>.json each
+export const locales = ['en', 'es']{{#if ts}} as const{{/if}};
+{{#if ts}}
+
+export type Locale = (typeof locales)[number];
+{{/if}}
+
+export const defaultLocale{{#if ts}}: Locale{{/if}} = 'en';
+
+// Each language in its own name, for the language switcher
+export const localeNames{{#if ts}}: Record<Locale, string>{{/if}} = {
+  en: 'English',
+  es: 'Español',
+};
+{{#if next}}
+
+// Dates and times are formatted in this zone on the server and in the browser
+// alike, so both render the same markup
+export const timeZone = 'UTC';
+{{/if}}
+{{#if appRouter}}
+
+// The language switcher stores the choice here; src/i18n/request reads it
+export const LOCALE_COOKIE = 'NEXT_LOCALE';
+{{/if}}
+
+export function isLocale(value{{#if ts}}: string{{/if}}){{#if ts}}: value is Locale{{/if}} {
+  return locales.includes(value{{#if ts}} as Locale{{/if}});
+}
@@ -0,0 +1,28 @@
+import i18n from 'i18next';
+import { initReactI18next } from 'react-i18next';
+import { defaultLocale, isLocale } from './config';
+import { messages } from './messages';
+
+const STORAGE_KEY = 'locale';
+
+// The language picked last time, then the browser's, then the default
+function detectLocale() {
+  const preferred = localStorage.getItem(STORAGE_KEY) ?? navigator.language.split('-')[0];
+  return isLocale(preferred) ? preferred : defaultLocale;
+}
+
+i18n.use(initReactI18next).init({
+  resources: Object.fromEntries(Object.entries(messages).map(([locale, translation]) => [locale, { translation }])),
+  lng: detectLocale(),
+  fallbackLng: defaultLocale,
+  // React already escapes rendered text
+  interpolation: { escapeValue: false },
+});
+
+document.documentElement.lang = i18n.language;
+i18n.on('languageChanged', (locale) => {
+  localStorage.setItem(STORAGE_KEY, locale);
+  document.documentElement.lang = locale;
+});
+
+export default i18n;
@@ -0,0 +1,5 @@
+import en from '../locales/en.json';
+import es from '../locales/es.json';
+
+// Every locale's translations, keyed by locale
+export const messages = { en, es };
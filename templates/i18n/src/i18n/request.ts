@@ -0,0 +1,13 @@
+import { cookies } from 'next/headers';
+import { getRequestConfig } from 'next-intl/server';
+import { defaultLocale, isLocale, LOCALE_COOKIE, timeZone } from './config';
+import { messages } from './messages';
+
+// next-intl reads each request's locale and translations from here, through
+// the plugin in next.config. The locale is the one the language switcher saved.
+export default getRequestConfig(async () => {
+  const saved = (await cookies()).get(LOCALE_COOKIE)?.value;
+  const locale = saved && isLocale(saved) ? saved : defaultLocale;
+
+  return { locale, messages: messages[locale], timeZone };
+});
@@ -0,0 +1,29 @@
+'use client';
+
+import React, { useEffect, useState } from 'react';
+import { env } from '../../lib/env/client';
+
+const enabled = process.env.NODE_ENV === 'development' && env.apiMocking;
+
+let starting{{#if ts}}: Promise<unknown> | undefined{{/if}};
+
+// Started once, even when Strict Mode runs the effect twice
+function startWorker() {
+  starting ??= import('../../mocks/browser').then(({ worker }) => worker.start({ onUnhandledRequest: 'bypass' }));
+  return starting;
+}
+
+// With NEXT_PUBLIC_API_MOCKING=true, src/mocks/handlers answers the browser's
+// API requests in development. The app renders once the worker is running, so
+// its first requests are mocked too. Requests made on the server aren't mocked.
+export const MockProvider{{#if ts}}: React.FC<{ children: React.ReactNode }>{{/if}} = ({ children }) => {
+  const [ready, setReady] = useState(!enabled);
+
+  useEffect(() => {
+    if (enabled) {
+      startWorker().then(() => setReady(true));
+    }
+  }, []);
+
+  return ready ? <>{children}</> : null;
+};
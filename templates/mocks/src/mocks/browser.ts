@@ -0,0 +1,5 @@
+import { setupWorker } from 'msw/browser';
+import { handlers } from './handlers';
+
+// Intercepts the browser's requests through public/mockServiceWorker.js
+export const worker = setupWorker(...handlers);
@@ -0,0 +1,36 @@
+import { http, HttpResponse } from 'msw';
+{{#if ts}}
+import type { AuthSession, LoginCredentials, User } from '../types';
+{{/if}}
+import { env } from '{{#if vite}}../lib/env{{else}}../lib/env/client{{/if}}';
+
+// Sample data served by the handlers below
+export const users{{#if ts}}: User[]{{/if}} = [
+  { id: '1', name: 'Ada Lovelace', email: 'ada@example.com' },
+  { id: '2', name: 'Alan Turing', email: 'alan@example.com' },
+];
+
+// Every sample user signs in with this password
+export const MOCK_PASSWORD = 'password';
+
+const apiUrl = (path{{#if ts}}: string{{/if}}) => `${env.apiUrl}${path}`;
+
+// Answers requests to the API like the backend would. Add a handler for each
+// endpoint the app calls; tests can replace one with server.use().
+export const handlers = [
+  http.post{{#if ts}}<never, LoginCredentials>{{/if}}(apiUrl('/auth/login'), async ({ request }) => {
+    const { email, password } = await request.json();
+    const user = users.find((candidate) => candidate.email === email);
+    if (!user || password !== MOCK_PASSWORD) {
+      return HttpResponse.json({ message: 'Invalid email or password' }, { status: 401 });
+    }
+    return HttpResponse.json{{#if ts}}<AuthSession>{{/if}}({ user, token: `mock-token-${user.id}` });
+  }),
+
+  http.get(apiUrl('/users'), () => HttpResponse.json(users)),
+{{#if usesForms}}
+
+  // The contact page's form
+  http.post(apiUrl('/contact'), () => new HttpResponse(null, { status: 204 })),
+{{/if}}
+];
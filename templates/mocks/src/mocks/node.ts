@@ -0,0 +1,5 @@
+import { setupServer } from 'msw/node';
+import { handlers } from './handlers';
+
+// The same handlers for tests, which run in Node; started in src/tests/setup
+export const server = setupServer(...handlers);
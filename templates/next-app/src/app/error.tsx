@@ -0,0 +1,24 @@
+'use client';
+
+import { useEffect } from 'react';
+import { Button } from '@/components/ui/Button';
+
+export default function ErrorPage({
+  error,
+  reset,
+}{{#if ts}}: {
+  error: Error & { digest?: string };
+  reset: () => void;
+}{{/if}}) {
+  useEffect(() => {
+    console.error(error);
+  }, [error]);
+
+  return (
+    <div className="container mx-auto px-4 py-16 text-center">
+      <h1 className="text-4xl font-bold mb-4">Something went wrong</h1>
+      <p className="text-lg text-muted-foreground mb-8">An unexpected error occurred.</p>
+      <Button onClick={() => reset()}>Try again</Button>
+    </div>
+  );
+}
@@ -0,0 +1,48 @@
+{{#if ts}}
+import type { Metadata } from 'next';
+{{/if}}
+{{#if usesI18n}}
+import { NextIntlClientProvider } from 'next-intl';
+import { getLocale } from 'next-intl/server';
+{{/if}}
+import { Layout } from '@/components/layout/Layout';
+import { Providers } from './providers';
+import './globals.css';
+
+export const metadata{{#if ts}}: Metadata{{/if}} = {
+  title: 'MyApp',
+  description: 'A modern Next.js application',
+};
+
+{{#if usesI18n}}
+export default async function RootLayout({ children }{{#if ts}}: Readonly<{ children: React.ReactNode }>{{/if}}) {
+  const locale = await getLocale();
+
+  return (
+    // The theme toggle sets the dark class on <html> before hydration
+    <html lang={locale} suppressHydrationWarning>
+      <body>
+        {/* Passes the locale and translations from src/i18n/request to client components */}
+        <NextIntlClientProvider>
+          <Providers>
+            <Layout>{children}</Layout>
+          </Providers>
+        </NextIntlClientProvider>
+      </body>
+    </html>
+  );
+}
+{{else}}
+export default function RootLayout({ children }{{#if ts}}: Readonly<{ children: React.ReactNode }>{{/if}}) {
+  return (
+    // The theme toggle sets the dark class on <html> before hydration
+    <html lang="en" suppressHydrationWarning>
+      <body>
+        <Providers>
+          <Layout>{children}</Layout>
+        </Providers>
+      </body>
+    </html>
+  );
+}
+{{/if}}
@@ -0,0 +1,27 @@
+'use client';
+
+import React, { Suspense } from 'react';
+import { useRouter, useSearchParams } from 'next/navigation';
+import { LoginForm } from '@/components/auth/LoginForm';
+import { getSafeRedirect } from '@/lib/auth';
+
+// src/proxy sends users here with the page they asked for in ?from=
+function Login() {
+  const router = useRouter();
+  const searchParams = useSearchParams();
+  const from = getSafeRedirect(searchParams.get('from'));
+
+  return <LoginForm onSuccess={() => router.replace(from)} />;
+}
+
+export default function LoginPage() {
+  return (
+    <div className="container mx-auto max-w-sm px-4 py-16">
+      <h1 className="text-3xl font-bold mb-8">Sign in</h1>
+      {/* Reading the search params needs a Suspense boundary to prerender */}
+      <Suspense>
+        <Login />
+      </Suspense>
+    </div>
+  );
+}
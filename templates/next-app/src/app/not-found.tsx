@@ -0,0 +1,13 @@
+import Link from 'next/link';
+
+export default function NotFound() {
+  return (
+    <div className="container mx-auto px-4 py-16 text-center">
+      <h1 className="text-4xl font-bold mb-4">Page not found</h1>
+      <p className="text-lg text-muted-foreground mb-8">The page you are looking for doesn't exist.</p>
+      <Link href="/" className="text-primary underline">
+        Back to home
+      </Link>
+    </div>
+  );
+}
@@ -0,0 +1,40 @@
+{{#if ts}}
+import type { AppProps } from 'next/app';
+{{/if}}
+{{#if usesI18n}}
+import { NextIntlClientProvider } from 'next-intl';
+{{/if}}
+import { Providers } from '@/components/common/Providers';
+import { Layout } from '@/components/layout/Layout';
+{{#if usesI18n}}
+import { defaultLocale, isLocale, timeZone } from '@/i18n/config';
+import { messages } from '@/i18n/messages';
+{{/if}}
+import '@/styles/globals.css';
+
+{{#if usesI18n}}
+export default function App({ Component, pageProps, router }{{#if ts}}: AppProps{{/if}}) {
+  // The locale comes from the URL, through the i18n routing in next.config
+  const locale = router.locale && isLocale(router.locale) ? router.locale : defaultLocale;
+
+  return (
+    <NextIntlClientProvider locale={locale} messages={messages[locale]} timeZone={timeZone}>
+      <Providers>
+        <Layout>
+          <Component {...pageProps} />
+        </Layout>
+      </Providers>
+    </NextIntlClientProvider>
+  );
+}
+{{else}}
+export default function App({ Component, pageProps }{{#if ts}}: AppProps{{/if}}) {
+  return (
+    <Providers>
+      <Layout>
+        <Component {...pageProps} />
+      </Layout>
+    </Providers>
+  );
+}
+{{/if}}
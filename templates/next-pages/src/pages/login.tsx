@@ -0,0 +1,17 @@
+import React from 'react';
+import { useRouter } from 'next/router';
+import { LoginForm } from '@/components/auth/LoginForm';
+import { getSafeRedirect } from '@/lib/auth';
+
+// src/proxy sends users here with the page they asked for in ?from=
+export default function LoginPage() {
+  const router = useRouter();
+  const from = getSafeRedirect(router.query.from);
+
+  return (
+    <div className="container mx-auto max-w-sm px-4 py-16">
+      <h1 className="text-3xl font-bold mb-8">Sign in</h1>
+      <LoginForm onSuccess={() => router.replace(from)} />
+    </div>
+  );
+}
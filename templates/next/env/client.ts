@@ -0,0 +1,37 @@
+import { z } from 'zod';
+
+// The variables the browser can read, checked once when this module loads.
+// Next.js inlines NEXT_PUBLIC_ variables only where they're written out in
+// full, so each one is passed by name; add new ones here and to .env.example.
+const schema = z.object({
+  NEXT_PUBLIC_API_URL: z.url().default('http://localhost:3001/api'),
+  NEXT_PUBLIC_AUTH_REFRESH: z.stringbool().default(false),
+{{#if usesMocks}}
+  NEXT_PUBLIC_API_MOCKING: z.stringbool().default(false),
+{{/if}}
+});
+
+const parsed = schema.safeParse({
+  NEXT_PUBLIC_API_URL: process.env.NEXT_PUBLIC_API_URL,
+  NEXT_PUBLIC_AUTH_REFRESH: process.env.NEXT_PUBLIC_AUTH_REFRESH,
+{{#if usesMocks}}
+  NEXT_PUBLIC_API_MOCKING: process.env.NEXT_PUBLIC_API_MOCKING,
+{{/if}}
+});
+if (!parsed.success) {
+  throw new Error(`Invalid environment variables:\n${z.prettifyError(parsed.error)}`);
+}
+
+export const env = {
+  apiUrl: parsed.data.NEXT_PUBLIC_API_URL,
+  // Whether a 401 first tries POST /auth/refresh
+  authRefresh: parsed.data.NEXT_PUBLIC_AUTH_REFRESH,
+{{#if usesMocks}}
+  // Whether src/mocks/handlers answers API requests in development
+  apiMocking: parsed.data.NEXT_PUBLIC_API_MOCKING,
+{{/if}}
+};
+{{#if ts}}
+
+export type Env = typeof env;
+{{/if}}
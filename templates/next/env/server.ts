@@ -0,0 +1,27 @@
+import { z } from 'zod';
+import { env } from './client';
+
+// Variables for server code only (route handlers, server components, src/proxy).
+// Importing this from a client component fails, so they never reach the browser.
+if (typeof window !== 'undefined') {
+  throw new Error('src/lib/env/server can only be imported on the server');
+}
+
+const schema = z.object({
+  API_URL: z.url().optional(),
+});
+
+const parsed = schema.safeParse(process.env);
+if (!parsed.success) {
+  throw new Error(`Invalid environment variables:\n${z.prettifyError(parsed.error)}`);
+}
+
+export const serverEnv = {
+  ...env,
+  // The backend as the server reaches it, when that differs from the public URL
+  apiUrl: parsed.data.API_URL ?? env.apiUrl,
+};
+{{#if ts}}
+
+export type ServerEnv = typeof serverEnv;
+{{/if}}
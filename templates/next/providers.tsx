@@ -0,0 +1,17 @@
+'use client';
+
+import React from 'react';
+{{#if providerImports}}
+{{providerImports}}
+{{/if}}
+
+// Client-side context providers shared by every page
+export function Providers({ children }{{#if ts}}: { children: React.ReactNode }{{/if}}) {
+{{#if providerTree}}
+  return (
+    {{providerTree}}
+  );
+{{else}}
+  return <>{children}</>;
+{{/if}}
+}
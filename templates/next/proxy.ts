@@ -0,0 +1,21 @@
+import { NextResponse } from 'next/server';
+{{#if ts}}
+import type { NextRequest } from 'next/server';
+{{/if}}
+import { TOKEN_COOKIE } from '@/lib/session';
+
+// Runs before the pages in `matcher` render and sends visitors without a
+// token to /login, which brings them back afterwards
+export function proxy(request{{#if ts}}: NextRequest{{/if}}) {
+  if (request.cookies.has(TOKEN_COOKIE)) {
+    return NextResponse.next();
+  }
+
+  const loginUrl = new URL('/login', request.url);
+  loginUrl.searchParams.set('from', request.nextUrl.pathname + request.nextUrl.search);
+  return NextResponse.redirect(loginUrl);
+}
+
+export const config = {
+  matcher: ['/dashboard/:path*'],
+};
@@ -0,0 +1,30 @@
+import { useCallback } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { clearSession, requestLogin, saveSession } from '../lib/auth';
+import { loggedIn, loggedOut } from '../store/authSlice';
+{{#if ts}}
+import type { AppDispatch, RootState } from '../store/store';
+import type { LoginCredentials } from '../types';
+{{/if}}
+
+// The auth state from the store, with login and logout doing the requests and storage
+export function useAuth() {
+  const dispatch = useDispatch{{#if ts}}<AppDispatch>{{/if}}();
+  const auth = useSelector((state{{#if ts}}: RootState{{/if}}) => state.auth);
+
+  const login = useCallback(
+    async (credentials{{#if ts}}: LoginCredentials{{/if}}) => {
+      const session = await requestLogin(credentials);
+      saveSession(session);
+      dispatch(loggedIn(session));
+    },
+    [dispatch]
+  );
+
+  const logout = useCallback(() => {
+    clearSession();
+    dispatch(loggedOut());
+  }, [dispatch]);
+
+  return { ...auth, login, logout };
+}
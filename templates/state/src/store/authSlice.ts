@@ -0,0 +1,39 @@
+import { createSlice } from '@reduxjs/toolkit';
+{{#if ts}}
+import type { PayloadAction } from '@reduxjs/toolkit';
+import type { AuthSession, AuthState } from '../types';
+{{/if}}
+
+const initialState{{#if ts}}: AuthState{{/if}} = {
+  user: null,
+  token: null,
+  isAuthenticated: false,
+  isLoading: true,
+};
+
+// The reducers only record what happened; useAuth does the requests and storage
+const authSlice = createSlice({
+  name: 'auth',
+  initialState,
+  reducers: {
+    sessionRestored: (state, action{{#if ts}}: PayloadAction<AuthSession | null>{{/if}}) => {
+      state.user = action.payload?.user ?? null;
+      state.token = action.payload?.token ?? null;
+      state.isAuthenticated = action.payload !== null;
+      state.isLoading = false;
+    },
+    loggedIn: (state, action{{#if ts}}: PayloadAction<AuthSession>{{/if}}) => {
+      state.user = action.payload.user;
+      state.token = action.payload.token;
+      state.isAuthenticated = true;
+    },
+    loggedOut: (state) => {
+      state.user = null;
+      state.token = null;
+      state.isAuthenticated = false;
+    },
+  },
+});
+
+export const { sessionRestored, loggedIn, loggedOut } = authSlice.actions;
+export default authSlice.reducer;
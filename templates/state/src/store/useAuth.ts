@@ -0,0 +1,32 @@
+import { create } from 'zustand';
+import { clearSession, loadSession, requestLogin, saveSession } from '../lib/auth';
+{{#if ts}}
+import type { AuthState, LoginCredentials } from '../types';
+
+interface AuthStore extends AuthState {
+  login: (credentials: LoginCredentials) => Promise<void>;
+  logout: () => void;
+  // Reads the stored session; AuthProvider calls it after the first render
+  restore: () => void;
+}
+{{/if}}
+
+export const useAuth = create{{#if ts}}<AuthStore>(){{/if}}((set) => ({
+  user: null,
+  token: null,
+  isAuthenticated: false,
+  isLoading: true,
+  login: async (credentials) => {
+    const session = await requestLogin(credentials);
+    saveSession(session);
+    set({ user: session.user, token: session.token, isAuthenticated: true });
+  },
+  logout: () => {
+    clearSession();
+    set({ user: null, token: null, isAuthenticated: false });
+  },
+  restore: () => {
+    const session = loadSession();
+    set({ user: session?.user ?? null, token: session?.token ?? null, isAuthenticated: session !== null, isLoading: false });
+  },
+}));
@@ -0,0 +1,12 @@
+{{#if ts}}
+import type { StorybookConfig } from '{{storybookFramework}}';
+
+{{/if}}
+// Stories live next to their components, e.g. src/components/ui/Button.stories
+const config{{#if ts}}: StorybookConfig{{/if}} = {
+  stories: ['../src/**/*.stories.@(js|jsx|ts|tsx)'],
+  framework: '{{storybookFramework}}',
+  staticDirs: ['../public'],
+};
+
+export default config;
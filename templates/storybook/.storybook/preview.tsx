@@ -0,0 +1,74 @@
+{{#if ts}}
+import type { Decorator, Preview } from '{{storybookFramework}}';
+{{/if}}
+{{#if i18n == "react-i18next"}}
+import { I18nextProvider } from 'react-i18next';
+import i18n from '../src/i18n';
+{{/if}}
+{{#if i18n == "next-intl"}}
+import { NextIntlClientProvider } from 'next-intl';
+import { defaultLocale, timeZone } from '../src/i18n/config';
+import { messages } from '../src/i18n/messages';
+{{/if}}
+{{#if usesTailwind}}
+import { ThemeProvider } from '../src/components/common/ThemeProvider';
+{{/if}}
+import '{{globalCss}}';
+
+// The toolbar's theme sets the .dark class on <html>, which the CSS variables follow
+const withTheme{{#if ts}}: Decorator{{/if}} = (Story, { globals }) => {
+{{#if usesTailwind}}
+  // Goes through ThemeProvider like the app's theme toggle. It applies the
+  // stored theme when it mounts, so it remounts whenever the toolbar changes.
+  window.localStorage.setItem('theme', globals.theme);
+  return (
+    <ThemeProvider key={globals.theme}>
+      <Story />
+    </ThemeProvider>
+  );
+{{else}}
+  document.documentElement.classList.toggle('dark', globals.theme === 'dark');
+  return <Story />;
+{{/if}}
+};
+{{#if usesI18n}}
+
+const withTranslations{{#if ts}}: Decorator{{/if}} = (Story) => (
+{{#if i18n == "react-i18next"}}
+  <I18nextProvider i18n={i18n}>
+    <Story />
+  </I18nextProvider>
+{{else}}
+  <NextIntlClientProvider locale={defaultLocale} messages={messages[defaultLocale]} timeZone={timeZone}>
+    <Story />
+  </NextIntlClientProvider>
+{{/if}}
+);
+{{/if}}
+
+const preview{{#if ts}}: Preview{{/if}} = {
+  globalTypes: {
+    theme: {
+      description: 'Color theme',
+      toolbar: {
+        title: 'Theme',
+        icon: 'mirror',
+        items: [
+          { value: 'light', title: 'Light', icon: 'sun' },
+          { value: 'dark', title: 'Dark', icon: 'moon' },
+        ],
+        dynamicTitle: true,
+      },
+    },
+  },
+  initialGlobals: { theme: 'light' },
+  decorators: [withTheme{{#if usesI18n}}, withTranslations{{/if}}],
+{{#if appRouter}}
+  parameters: {
+    // Components can use next/navigation, as in the App Router
+    nextjs: { appDirectory: true },
+  },
+{{/if}}
+};
+
+export default preview;
@@ -0,0 +1,17 @@
+{{#if ts}}
+import type { Meta, StoryObj } from '{{storybookFramework}}';
+{{/if}}
+import { ThemeToggle } from './ThemeToggle';
+
+// Clicking it switches the theme like the toolbar does, until the toolbar changes again
+const meta = {
+  title: 'Common/ThemeToggle',
+  component: ThemeToggle,
+}{{#if ts}} satisfies Meta<typeof ThemeToggle>{{/if}};
+
+export default meta;
+{{#if ts}}
+type Story = StoryObj<typeof meta>;
+{{/if}}
+
+export const Default{{#if ts}}: Story{{/if}} = {};
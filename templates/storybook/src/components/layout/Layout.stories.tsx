@@ -0,0 +1,24 @@
+{{#if ts}}
+import type { Meta, StoryObj } from '{{storybookFramework}}';
+{{/if}}
+import { Layout } from './Layout';
+
+const meta = {
+  title: 'Layout/Layout',
+  component: Layout,
+  parameters: { layout: 'fullscreen' },
+  args: {
+{{#if usesTailwind}}
+    children: <p className="container mx-auto px-4 py-16">Page content</p>,
+{{else}}
+    children: <p className="container">Page content</p>,
+{{/if}}
+  },
+}{{#if ts}} satisfies Meta<typeof Layout>{{/if}};
+
+export default meta;
+{{#if ts}}
+type Story = StoryObj<typeof meta>;
+{{/if}}
+
+export const Default{{#if ts}}: Story{{/if}} = {};
@@ -0,0 +1,49 @@
+{{#if ts}}
+import type { Meta, StoryObj } from '{{storybookFramework}}';
+{{/if}}
+import { Button } from './Button';
+
+const variants = ['primary', 'secondary', 'outline', 'ghost']{{#if ts}} as const{{/if}};
+const sizes = ['sm', 'md', 'lg']{{#if ts}} as const{{/if}};
+
+const meta = {
+  title: 'UI/Button',
+  component: Button,
+  args: { children: 'Button' },
+  argTypes: {
+    variant: { control: 'inline-radio', options: variants },
+    size: { control: 'inline-radio', options: sizes },
+  },
+}{{#if ts}} satisfies Meta<typeof Button>{{/if}};
+
+export default meta;
+{{#if ts}}
+type Story = StoryObj<typeof meta>;
+{{/if}}
+
+export const Primary{{#if ts}}: Story{{/if}} = { args: { variant: 'primary' } };
+
+export const Secondary{{#if ts}}: Story{{/if}} = { args: { variant: 'secondary' } };
+
+export const Outline{{#if ts}}: Story{{/if}} = { args: { variant: 'outline' } };
+
+export const Ghost{{#if ts}}: Story{{/if}} = { args: { variant: 'ghost' } };
+
+export const Disabled{{#if ts}}: Story{{/if}} = { args: { disabled: true } };
+
+// One row per variant, one column per size
+const gridStyle = { display: 'grid', gridTemplateColumns: 'repeat(3, max-content)', gap: '1rem', alignItems: 'center' };
+
+export const AllVariantsAndSizes{{#if ts}}: Story{{/if}} = {
+  render: (args) => (
+    <div style={gridStyle}>
+      {variants.flatMap((variant) =>
+        sizes.map((size) => (
+          <Button key={`${variant}-${size}`} {...args} variant={variant} size={size}>
+            {variant} {size}
+          </Button>
+        ))
+      )}
+    </div>
+  ),
+};
@@ -0,0 +1,10 @@
+export default {
+  plugins: {
+{{#if tailwindV4}}
+    '@tailwindcss/postcss': {},
+{{else}}
+    tailwindcss: {},
+    autoprefixer: {},
+{{/if}}
+  },
+};
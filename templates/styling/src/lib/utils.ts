@@ -0,0 +1,7 @@
+import { clsx{{#if ts}}, type ClassValue{{/if}} } from 'clsx';
+import { twMerge } from 'tailwind-merge';
+
+// Merge class names, letting later Tailwind classes override earlier ones
+export function cn(...inputs{{#if ts}}: ClassValue[]{{/if}}) {
+  return twMerge(clsx(inputs));
+}
@@ -0,0 +1,31 @@
+import nextJest from 'next/jest.js';
+
+// Loads next.config and .env files and transforms the code with SWC
+const createJestConfig = nextJest({ dir: './' });
+
+const config = {
+{{#if usesMocks}}
+  // jsdom, with the fetch globals (Request, Response, ...) MSW needs
+  testEnvironment: 'jest-fixed-jsdom',
+{{else}}
+  testEnvironment: 'jsdom',
+{{/if}}
+  setupFilesAfterEnv: ['<rootDir>/src/tests/setup.{{#if ts}}ts{{else}}js{{/if}}'],
+{{#if usesPlaywright}}
+  // The Playwright specs run with `e2e`
+  testPathIgnorePatterns: ['/node_modules/', '<rootDir>/e2e/'],
+{{/if}}
+  coverageProvider: 'v8',
+  collectCoverageFrom: ['src/**/*.{js,jsx,ts,tsx}', '!src/**/*.d.ts'],
+};
+
+{{#if esmPackages}}
+// Some dependencies only ship ES modules, so unlike the rest of node_modules
+// they are transformed (.pnpm keeps this working with pnpm)
+export default async () => ({
+  ...(await createJestConfig(config)()),
+  transformIgnorePatterns: ['/node_modules/(?!(\\.pnpm|{{esmPackages}})/)', '^.+\\.module\\.(css|sass|scss)$'],
+});
+{{else}}
+export default createJestConfig(config);
+{{/if}}
@@ -0,0 +1,20 @@
+import { {{#if usesPlaywright}}configDefaults, {{/if}}defineConfig } from 'vitest/config';
+import react from '@vitejs/plugin-react';
+import tsconfigPaths from 'vite-tsconfig-paths';
+
+export default defineConfig({
+  plugins: [tsconfigPaths(), react()],
+  test: {
+    environment: 'jsdom',
+    setupFiles: ['./src/tests/setup.{{#if ts}}ts{{else}}js{{/if}}'],
+{{#if usesPlaywright}}
+    // The Playwright specs run with `e2e`
+    exclude: [...configDefaults.exclude, 'e2e/**'],
+{{/if}}
+    css: true,
+    coverage: {
+      provider: 'v8',
+      include: ['src/**/*.{js,jsx,ts,tsx}'],
+    },
+  },
+});
@@ -0,0 +1,31 @@
+{{#if testing == "Vitest"}}
+import { describe, it, expect } from 'vitest';
+{{/if}}
+import { http, HttpResponse } from 'msw';
+import { ApiError, apiClient } from '../lib/api';
+import { env } from '{{#if vite}}../lib/env{{else}}../lib/env/client{{/if}}';
+import { MOCK_PASSWORD, users } from '../mocks/handlers';
+import { server } from '../mocks/node';
+
+// The requests are answered by src/mocks/handlers, through the server in src/tests/setup
+describe('apiClient', () => {
+  it('resolves with the response body', async () => {
+    await expect(apiClient.get('/users')).resolves.toEqual(users);
+  });
+
+  it('signs in with the sample credentials', async () => {
+    const session = await apiClient.post('/auth/login', { email: users[0].email, password: MOCK_PASSWORD });
+    expect(session).toMatchObject({ user: users[0] });
+  });
+
+  it('rejects with an ApiError carrying the status and message', async () => {
+    const request = apiClient.post('/auth/login', { email: users[0].email, password: 'wrong' });
+    await expect(request).rejects.toBeInstanceOf(ApiError);
+    await expect(request).rejects.toMatchObject({ status: 401, message: 'Invalid email or password' });
+  });
+
+  it('uses a handler overridden for one test', async () => {
+    server.use(http.get(`${env.apiUrl}/users`, () => HttpResponse.json({ message: 'Unavailable' }, { status: 503 })));
+    await expect(apiClient.get('/users')).rejects.toMatchObject({ status: 503, message: 'Unavailable' });
+  });
+});
@@ -0,0 +1,29 @@
+{{#if testing == "Vitest"}}
+import { describe, it, expect } from 'vitest';
+{{/if}}
+import { act, renderHook } from '@testing-library/react';
+import { useLocalStorage } from '../hooks';
+
+describe('useLocalStorage', () => {
+  it('returns the initial value when nothing is stored', () => {
+    const { result } = renderHook(() => useLocalStorage('theme', 'light'));
+    expect(result.current[0]).toBe('light');
+  });
+
+  it('reads a previously stored value', () => {
+    window.localStorage.setItem('theme', JSON.stringify('dark'));
+    const { result } = renderHook(() => useLocalStorage('theme', 'light'));
+    expect(result.current[0]).toBe('dark');
+  });
+
+  it('updates the state and localStorage', () => {
+    const { result } = renderHook(() => useLocalStorage('theme', 'light'));
+
+    act(() => {
+      result.current[1]('dark');
+    });
+
+    expect(result.current[0]).toBe('dark');
+    expect(window.localStorage.getItem('theme')).toBe(JSON.stringify('dark'));
+  });
+});
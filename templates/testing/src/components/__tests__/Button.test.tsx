@@ -0,0 +1,41 @@
+{{#if testing == "Vitest"}}
+import { describe, it, expect, vi } from 'vitest';
+{{/if}}
+import userEvent from '@testing-library/user-event';
+import { render, screen } from '../../tests/utils';
+import { Button } from '../ui/Button';
+
+describe('Button', () => {
+  it('renders its children', () => {
+    render(<Button>Click me</Button>);
+    expect(screen.getByRole('button', { name: 'Click me' })).toBeInTheDocument();
+  });
+
+  it('calls onClick when clicked', async () => {
+    const onClick = {{#if testing == "Vitest"}}vi.fn(){{else}}jest.fn(){{/if}};
+    render(<Button onClick={onClick}>Click me</Button>);
+
+    await userEvent.click(screen.getByRole('button'));
+
+    expect(onClick).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not call onClick when disabled', async () => {
+    const onClick = {{#if testing == "Vitest"}}vi.fn(){{else}}jest.fn(){{/if}};
+    render(
+      <Button onClick={onClick} disabled>
+        Click me
+      </Button>
+    );
+
+    await userEvent.click(screen.getByRole('button'));
+
+    expect(screen.getByRole('button')).toBeDisabled();
+    expect(onClick).not.toHaveBeenCalled();
+  });
+
+  it('uses the given type', () => {
+    render(<Button type="submit">Save</Button>);
+    expect(screen.getByRole('button', { name: 'Save' })).toHaveAttribute('type', 'submit');
+  });
+});
@@ -0,0 +1,34 @@
+{{#if testing == "Vitest"}}
+import { describe, it, expect } from 'vitest';
+{{/if}}
+import userEvent from '@testing-library/user-event';
+import { render, screen } from '../../tests/utils';
+import { Layout } from '../layout/Layout';
+
+describe('Layout', () => {
+  it('renders the page content', () => {
+    render(
+      <Layout>
+        <p>Page content</p>
+      </Layout>
+    );
+    expect(screen.getByText('Page content')).toBeInTheDocument();
+  });
+
+  it('renders the navigation links', () => {
+    render(<Layout>content</Layout>);
+    expect(screen.getByRole('link', { name: 'Home' })).toHaveAttribute('href', '/');
+    expect(screen.getByRole('link', { name: 'About' })).toHaveAttribute('href', '/about');
+  });
+
+  it('toggles the mobile menu', async () => {
+    render(<Layout>content</Layout>);
+    expect(screen.getAllByRole('link', { name: 'Home' })).toHaveLength(1);
+
+    await userEvent.click(screen.getByRole('button', { name: 'Toggle menu' }));
+    expect(screen.getAllByRole('link', { name: 'Home' })).toHaveLength(2);
+
+    await userEvent.click(screen.getByRole('button', { name: 'Toggle menu' }));
+    expect(screen.getAllByRole('link', { name: 'Home' })).toHaveLength(1);
+  });
+});
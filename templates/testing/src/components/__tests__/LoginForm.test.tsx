@@ -0,0 +1,53 @@
+{{#if testing == "Vitest"}}
+import { describe, it, expect, vi } from 'vitest';
+{{/if}}
+import userEvent from '@testing-library/user-event';
+import { render, screen } from '../../tests/utils';
+import { LoginForm } from '../auth/LoginForm';
+import { requestLogin } from '../../lib/auth';
+
+// Only the request is replaced; storing the session is part of what's tested
+{{#if testing == "Vitest"}}
+vi.mock('../../lib/auth', async (importOriginal) => ({
+  ...(await importOriginal{{#if ts}}<typeof import('../../lib/auth')>{{/if}}()),
+  requestLogin: vi.fn(),
+}));
+{{else}}
+jest.mock('../../lib/auth', () => ({
+  ...jest.requireActual('../../lib/auth'),
+  requestLogin: jest.fn(),
+}));
+{{/if}}
+
+const session = { user: { id: '1', name: 'Ada', email: 'ada@example.com' }, token: 'test-token' };
+
+const signIn = async () => {
+  await userEvent.type(screen.getByLabelText('Email'), 'ada@example.com');
+  await userEvent.type(screen.getByLabelText('Password'), 'secret');
+  await userEvent.click(screen.getByRole('button', { name: 'Sign in' }));
+};
+
+describe('LoginForm', () => {
+  it('signs in and stores the session', async () => {
+    {{#if testing == "Vitest"}}vi{{else}}jest{{/if}}.mocked(requestLogin).mockResolvedValue(session);
+    const onSuccess = {{#if testing == "Vitest"}}vi.fn(){{else}}jest.fn(){{/if}};
+    render(<LoginForm onSuccess={onSuccess} />);
+
+    await signIn();
+
+    expect(requestLogin).toHaveBeenCalledWith({ email: 'ada@example.com', password: 'secret' });
+    expect(onSuccess).toHaveBeenCalled();
+    expect(window.localStorage.getItem('auth-session')).toBe(JSON.stringify(session));
+  });
+
+  it('shows why signing in failed', async () => {
+    {{#if testing == "Vitest"}}vi{{else}}jest{{/if}}.mocked(requestLogin).mockRejectedValue(new Error('Invalid email or password'));
+    const onSuccess = {{#if testing == "Vitest"}}vi.fn(){{else}}jest.fn(){{/if}};
+    render(<LoginForm onSuccess={onSuccess} />);
+
+    await signIn();
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Invalid email or password');
+    expect(onSuccess).not.toHaveBeenCalled();
+  });
+});
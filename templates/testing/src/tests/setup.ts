@@ -0,0 +1,48 @@
+{{#if testing == "Vitest"}}
+import '@testing-library/jest-dom/vitest';
+import { cleanup } from '@testing-library/react';
+import { {{#if usesMocks}}afterAll, {{/if}}afterEach{{#if usesMocks}}, beforeAll{{/if}}{{#if usesI18n}}{{#if next}}, vi{{/if}}{{/if}} } from 'vitest';
+{{#if usesMocks}}
+import { server } from '../mocks/node';
+{{/if}}
+
+// Vitest runs without globals, so Testing Library can't clean up on its own
+afterEach(() => {
+  cleanup();
+  window.localStorage.clear();
+});
+{{else}}
+import '@testing-library/jest-dom';
+{{#if usesMocks}}
+import { server } from '../mocks/node';
+{{/if}}
+
+afterEach(() => {
+  window.localStorage.clear();
+});
+{{/if}}
+{{#if usesMocks}}
+
+// src/mocks/handlers answers API requests, and any other request fails the
+// test. Override a handler for one test with server.use().
+beforeAll(() => server.listen({ onUnhandledRequest: 'error' }));
+afterEach(() => server.resetHandlers());
+afterAll(() => server.close());
+{{/if}}
+{{#if usesI18n}}
+{{#if next}}
+
+// LanguageSwitcher reads the router, which only exists inside a running Next.js app
+{{#if testing == "Vitest"}}
+vi.mock('{{#if appRouter}}next/navigation{{else}}next/router{{/if}}', async (importOriginal) => ({
+  ...(await importOriginal{{#if ts}}<typeof import('{{#if appRouter}}next/navigation{{else}}next/router{{/if}}')>{{/if}}()),
+  useRouter: () => ({ push: vi.fn(), refresh: vi.fn(), pathname: '/', query: {}, asPath: '/' }),
+}));
+{{else}}
+jest.mock('{{#if appRouter}}next/navigation{{else}}next/router{{/if}}', () => ({
+  ...jest.requireActual('{{#if appRouter}}next/navigation{{else}}next/router{{/if}}'),
+  useRouter: () => ({ push: jest.fn(), refresh: jest.fn(), pathname: '/', query: {}, asPath: '/' }),
+}));
+{{/if}}
+{{/if}}
+{{/if}}
@@ -0,0 +1,22 @@
+import React from 'react';
+import { render{{#if ts}}, type RenderOptions{{/if}} } from '@testing-library/react';
+{{#if providerImports}}
+{{providerImports}}
+{{/if}}
+
+// Wrap rendered components with the providers the app uses
+const AllProviders{{#if ts}}: React.FC<{ children: React.ReactNode }>{{/if}} = ({ children }) => {
+{{#if providerTree}}
+  return (
+    {{providerTree}}
+  );
+{{else}}
+  return <>{children}</>;
+{{/if}}
+};
+
+const customRender = (ui{{#if ts}}: React.ReactElement{{/if}}, options{{#if ts}}?: Omit<RenderOptions, 'wrapper'>{{/if}}) =>
+  render(ui, { wrapper: AllProviders, ...options });
+
+export * from '@testing-library/react';
+export { customRender as render };
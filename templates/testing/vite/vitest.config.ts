@@ -0,0 +1,21 @@
+import { {{#if usesPlaywright}}configDefaults, {{/if}}defineConfig, mergeConfig } from 'vitest/config';
+import viteConfig from './vite.config';
+
+export default mergeConfig(
+  viteConfig,
+  defineConfig({
+    test: {
+      environment: 'jsdom',
+      setupFiles: ['./src/tests/setup.{{#if ts}}ts{{else}}js{{/if}}'],
+{{#if usesPlaywright}}
+      // The Playwright specs run with `e2e`
+      exclude: [...configDefaults.exclude, 'e2e/**'],
+{{/if}}
+      css: true,
+      coverage: {
+        provider: 'v8',
+        include: ['src/**/*.{js,jsx,ts,tsx}'],
+      },
+    },
+  })
+);
@@ -0,0 +1,12 @@
+import React from 'react';
+import AppRoutes from './routes/AppRoutes';
+
+function App() {
+  return (
+    <div className="App">
+      <AppRoutes />
+    </div>
+  );
+}
+
+export default App;
@@ -0,0 +1,20 @@
+import React from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import { useAuth } from '../../{{authModule}}';
+
+// Sends signed-out users to /login, which brings them back here afterwards
+export const ProtectedRoute{{#if ts}}: React.FC<{ children: React.ReactNode }>{{/if}} = ({ children }) => {
+  const { isAuthenticated, isLoading } = useAuth();
+  const location = useLocation();
+
+  if (isLoading) {
+    return null;
+  }
+
+  if (!isAuthenticated) {
+    const state = { from: location.pathname + location.search };
+    return <Navigate to="/login" replace state={state} />;
+  }
+
+  return <>{children}</>;
+};
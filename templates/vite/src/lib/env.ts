@@ -0,0 +1,30 @@
+import { z } from 'zod';
+
+// The variables the app reads, checked once when this module loads. Vite only
+// exposes names starting with VITE_; add new ones here and to .env.example.
+const schema = z.object({
+  VITE_API_URL: z.url().default('http://localhost:3001/api'),
+  VITE_AUTH_REFRESH: z.stringbool().default(false),
+{{#if usesMocks}}
+  VITE_API_MOCKING: z.stringbool().default(false),
+{{/if}}
+});
+
+const parsed = schema.safeParse(import.meta.env);
+if (!parsed.success) {
+  throw new Error(`Invalid environment variables:\n${z.prettifyError(parsed.error)}`);
+}
+
+export const env = {
+  apiUrl: parsed.data.VITE_API_URL,
+  // Whether a 401 first tries POST /auth/refresh
+  authRefresh: parsed.data.VITE_AUTH_REFRESH,
+{{#if usesMocks}}
+  // Whether src/mocks/handlers answers API requests in development
+  apiMocking: parsed.data.VITE_API_MOCKING,
+{{/if}}
+};
+{{#if ts}}
+
+export type Env = typeof env;
+{{/if}}
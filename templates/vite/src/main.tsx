@@ -0,0 +1,26 @@
+import React from 'react';
+import ReactDOM from 'react-dom/client';
+{{#if providerImports}}
+{{providerImports}}
+{{/if}}
+import App from './App';
+{{#if usesMocks}}
+import { env } from './lib/env';
+{{/if}}
+import './index.css';
+{{#if usesMocks}}
+
+// With VITE_API_MOCKING=true, src/mocks/handlers answers API requests in
+// development. Rendering waits for the worker, so the app's first requests are
+// mocked too.
+if (import.meta.env.DEV && env.apiMocking) {
+  const { worker } = await import('./mocks/browser');
+  await worker.start({ onUnhandledRequest: 'bypass' });
+}
+{{/if}}
+
+ReactDOM.createRoot(document.getElementById('root'){{#if ts}}!{{/if}}).render(
+  <React.StrictMode>
+    {{providerTree}}
+  </React.StrictMode>
+);
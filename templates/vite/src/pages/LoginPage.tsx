@@ -0,0 +1,20 @@
+import React from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { LoginForm } from '../components/auth/LoginForm';
+import { getSafeRedirect } from '../lib/auth';
+
+// ProtectedRoute sends users here with the page they asked for in `state.from`
+const LoginPage{{#if ts}}: React.FC{{/if}} = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const from = getSafeRedirect(location.state?.from);
+
+  return (
+    <div className="container mx-auto max-w-sm px-4 py-16">
+      <h1 className="text-3xl font-bold mb-8">Sign in</h1>
+      <LoginForm onSuccess={() => navigate(from, { replace: true })} />
+    </div>
+  );
+};
+
+export default LoginPage;
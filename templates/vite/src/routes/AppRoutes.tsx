@@ -0,0 +1,30 @@
+import React from 'react';
+import { Routes, Route } from 'react-router-dom';
+import { Layout } from '../components/layout/Layout';
+import HomePage from '../pages/HomePage';
+import AboutPage from '../pages/AboutPage';
+import LoginPage from '../pages/LoginPage';
+import DashboardPage from '../pages/DashboardPage';
+{{#if usesForms}}
+import ContactPage from '../pages/ContactPage';
+{{/if}}
+import { ProtectedRoute } from '../components/common/ProtectedRoute';
+
+// The router itself is provided in main, around the whole app
+export const AppRoutes{{#if ts}}: React.FC{{/if}} = () => {
+  return (
+    <Layout>
+      <Routes>
+        <Route path="/" element={<HomePage />} />
+        <Route path="/about" element={<AboutPage />} />
+{{#if usesForms}}
+        <Route path="/contact" element={<ContactPage />} />
+{{/if}}
+        <Route path="/login" element={<LoginPage />} />
+        <Route path="/dashboard" element={<ProtectedRoute><DashboardPage /></ProtectedRoute>} />
+      </Routes>
+    </Layout>
+  );
+};
+
+export default AppRoutes;
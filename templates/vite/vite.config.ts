@@ -0,0 +1,15 @@
+import { fileURLToPath, URL } from 'node:url';
+import { defineConfig } from 'vite';
+import react from '@vitejs/plugin-react';
+{{#if tailwindV4}}
+import tailwindcss from '@tailwindcss/vite';
+{{/if}}
+
+export default defineConfig({
+  plugins: [react(){{#if tailwindV4}}, tailwindcss(){{/if}}],
+  resolve: {
+    alias: {
+      '@': fileURLToPath(new URL('./src', import.meta.url)),
+    },
+  },
+});